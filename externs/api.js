@@ -6,6 +6,9 @@
  */
 var Annotation = {  
 
+  /** @type {string} unique annotation ID **/
+  id    : {},
+
   /** @type {string} source URL of the annotated object (e.g. image) **/
   src   : {},
   
@@ -42,7 +45,13 @@ var Plugin = {
   initPlugin : function(anno) {},
 
   /** @type {function} called on initialization of a Popup element **/
-  onInitAnnotator : function(annotator) {}
+  onInitAnnotator : function(annotator) {},
+
+  /** @type {function} called before an annotator is destroyed **/
+  onDestroyAnnotator : function(annotator) {},
+
+  /** @type {function} called when Annotorious is destroyed **/
+  destroyPlugin : function() {}
   
 };
 
@@ -56,3 +65,24 @@ var Annotator = {
 
 };
 
+/**
+ * Annotorious storage adapter interface. All methods return a promise
+ * (i.e. an object with a 'then' method).
+ * @interface
+ */
+var StorageAdapter = {
+
+  /** @type {function} loads the annotations for an item - the promise resolves to an array of annotations **/
+  load : function(item_src) {},
+
+  /** @type {function} stores a new annotation **/
+  create : function(annotation) {},
+
+  /** @type {function} stores changes to an existing annotation **/
+  update : function(annotation) {},
+
+  /** @type {function} deletes an annotation **/
+  delete : function(annotation) {}
+
+};
+
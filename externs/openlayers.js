@@ -24,13 +24,15 @@ var OpenLayers = {
   
   /** Map class **/
   Map : {
+    id : {},
     div : {},
     events : {
       register : function() {}
     },
     addLayer : function(layer) {},
     getViewPortPxFromLonLat : function() {},
-    getLonLatFromPixel : function() {}
+    getLonLatFromPixel : function() {},
+    getProjectionObject : function() {}
   },
   
   /** Marker namespace **/
@@ -43,6 +45,13 @@ var OpenLayers = {
   },
   
   /** Pixel class **/
-  Pixel: function(x ,y) {}
+  Pixel: function(x ,y) {},
+
+  /** Projection class **/
+  Projection: function(code) {}
   
 }
+
+/** Projection methods **/
+OpenLayers.Projection.prototype.getCode = function() {};
+OpenLayers.Projection.transform = function(point, source, dest) {};
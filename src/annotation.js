@@ -1,16 +1,59 @@
 goog.provide('annotorious.annotation');
 
+goog.require('goog.object');
+goog.require('goog.string');
+
 /**
  * A 'domain class' implementation of the external annotation interface.
  * @param {string} src the source URL of the annotated object
  * @param {string} text the annotation text
  * @param {annotorious.annotation.Shape} shape the annotated fragment shape
+ * @param {string | number} opt_id the annotation ID (optional - a unique ID is generated if not
+ * specified). Numeric IDs are converted to strings.
  * @implements {Annotation}
  * @constructor
  */
-annotorious.annotation.Annotation = function(src, text, shape) {
+annotorious.annotation.Annotation = function(src, text, shape, opt_id) {
+  this['id'] = (goog.isDefAndNotNull(opt_id) && opt_id !== '') ? String(opt_id) : annotorious.annotation.generateId();
   this.src = src;
   this.text = text;
   this["shapes"] = [ shape ];
   this['context'] = document.URL; // Prevents dead code removal
 }
+
+/**
+ * Generates a new, unique annotation ID.
+ * @returns {string} the ID
+ */
+annotorious.annotation.generateId = function() {
+  return goog.now().toString(36) + '-' + goog.string.getRandomString();
+}
+
+/**
+ * Makes sure the annotation has an ID, generating one if it is missing. Annotations
+ * that already have an ID keep it, but non-string IDs (e.g. database keys) are converted
+ * to strings.
+ * @param {Annotation} annotation the annotation
+ * @returns {string} the annotation ID
+ */
+annotorious.annotation.ensureId = function(annotation) {
+  if (!goog.isDefAndNotNull(annotation['id']))
+    annotation['id'] = annotorious.annotation.generateId();
+  else if (!goog.isString(annotation['id']))
+    annotation['id'] = String(annotation['id']);
+
+  return annotation['id'];
+}
+
+/**
+ * Applies changes to an annotation in place. The 'id' and 'src' properties are
+ * identity, and cannot be changed this way.
+ * @param {Annotation} annotation the annotation
+ * @param {object} changes the properties to change (e.g. 'text' or 'shapes')
+ */
+annotorious.annotation.applyChanges = function(annotation, changes) {
+  goog.object.forEach(changes, function(value, key) {
+    if (key != 'id' && key != 'src')
+      annotation[key] = value;
+  });
+}
@@ -1,7 +1,10 @@
 goog.provide('annotorious');
 
 goog.require('goog.array');
+goog.require('goog.net.XhrIo');
+goog.require('goog.string.html.htmlSanitize');
 goog.require('annotorious.dom');
+goog.require('annotorious.formats');
 
 /**
  * The main entrypoint to the application. The Annotorious class is instantiated exactly once,
@@ -50,6 +53,38 @@ annotorious.Annotorious.prototype._getModuleForItemSrc = function(item_src) {
   });
 }
 
+/**
+ * Returns information about the item with the specified URL (size, natural size, etc.),
+ * or undefined if the item is not on the page.
+ * @param {string} item_src the URL of the annotatable item (or another identifier a module recognizes)
+ * @return {object | undefined}
+ * @private
+ */
+annotorious.Annotorious.prototype._getItem = function(item_src) {
+  var item;
+  goog.array.find(this._modules, function(module) {
+    item = module.getItem(item_src);
+    return item;
+  });
+  return item;
+}
+
+/**
+ * Returns the import/export format with the specified name, or throws an error if the
+ * format is not supported (or does not support the requested direction).
+ * @param {string} name the format name
+ * @param {boolean} for_export true if the format is needed for export, false for import
+ * @return {object} the format
+ * @private
+ */
+annotorious.Annotorious.prototype._getFormat = function(name, for_export) {
+  var format = annotorious.formats.get(name);
+  if (!format || !((for_export) ? format.serialize : format.parse))
+    throw('Error: Annotorious does not support ' + ((for_export) ? 'export to' : 'import from') + ' \'' + name +
+      '\' in the current version or build configuration.');
+  return format;
+}
+
 /**
  * Adds an annotation to an item on the page.
  * @param {Annotation} annotation the annotation
@@ -77,15 +112,49 @@ annotorious.Annotorious.prototype.addHandler = function(type, handler) {
  * Adds a plugin to Annotorious.
  * @param {string} pluginName the plugin name
  * @param {object} opt_config_options an optional object literal with plugin config options
+ * @return {object | undefined} the plugin instance, or undefined if the plugin could not be loaded
  */
 annotorious.Annotorious.prototype.addPlugin = function(pluginName, opt_config_options) {
   try {
-    this._plugins.push(new window['annotorious']['plugin'][pluginName](opt_config_options));  
+    var plugin = new window['annotorious']['plugin'][pluginName](opt_config_options);
+    this._plugins.push(plugin);
+    return plugin;
   } catch (error) {
     console.log('Could not load plugin: ' + pluginName);
   }
 }
 
+/**
+ * Destroys Annotorious: all items are made unannotatable, restoring the original DOM
+ * elements, and all plugins are released. (Plugins are notified through destroyPlugin.)
+ */
+annotorious.Annotorious.prototype.destroy = function() {
+  goog.array.forEach(this._modules, function(module) {
+    module.destroy();
+  });
+
+  goog.array.forEach(this._plugins, function(plugin) {
+    if (plugin.destroyPlugin)
+      plugin.destroyPlugin();
+  });
+  this._plugins = [];
+}
+
+/**
+ * Exports the annotations on the item with the specified URL, or all annotations on
+ * the page in case no URL is specified, in the specified format (e.g. 'w3c').
+ * @param {string} format the format name
+ * @param {string | undefined} opt_item_url an item URL (optional)
+ * @param {object} opt_options format-specific options (optional)
+ * @return {object | string} the exported annotations
+ */
+annotorious.Annotorious.prototype.exportAnnotations = function(format, opt_item_url, opt_options) {
+  var self = this;
+  return this._getFormat(format, true).serialize(this.getAnnotations(opt_item_url), function(item_src) {
+    return self._getItem(item_src);
+  }, (opt_options) ? opt_options : {});
+}
+
 /**
  * Returns the name of the selector that is currently activated on a 
  * particular item.
@@ -105,6 +174,19 @@ annotorious.Annotorious.prototype.getActiveSelector = function(item_url) {
     return module.getActiveSelector(item_url);  
 }
 
+/**
+ * Returns the annotation with the specified ID.
+ * @param {string} id the annotation ID
+ * @return {Annotation | undefined} the annotation, or undefined if there is none with this ID
+ */
+annotorious.Annotorious.prototype.getAnnotationById = function(id) {
+  for (var i=0; i<this._modules.length; i++) {
+    var annotation = this._modules[i].getAnnotationById(id);
+    if (annotation)
+      return annotation;
+  }
+}
+
 /**
  * Returns all annotations on the annotatable item with the specified URL, or
  * all annotations on the page in case no URL is specified.
@@ -121,7 +203,10 @@ annotorious.Annotorious.prototype.getAnnotations = function(opt_item_url) {
   } else {
     var annotations = [];
     goog.array.forEach(this._modules, function(module) {
-      goog.array.extend(annotations, module.getAnnotations());
+      // Modules may not implement getAnnotations (yet)
+      var moduleAnnotations = module.getAnnotations();
+      if (moduleAnnotations)
+        goog.array.extend(annotations, moduleAnnotations);
     });
     return annotations;
   }
@@ -146,6 +231,25 @@ annotorious.Annotorious.prototype.getAvailableSelectors = function(item_url) {
     return module.getAvailableSelectors(item_url);  
 }
 
+/**
+ * Crops the region of an annotation out of its image, e.g. to create a thumbnail.
+ * @param {Annotation | string | number} annotation the annotation, or the annotation ID
+ * @param {object} opt_options options (optional): 'maxSize' - the maximum width and height
+ * of the snippet, 'type' - the image MIME type (default is 'image/png')
+ * @return {string | undefined} the snippet as data URL
+ */
+annotorious.Annotorious.prototype.getSnippet = function(annotation, opt_options) {
+  if (!goog.isObject(annotation)) {
+    annotation = this.getAnnotationById(String(annotation));
+    if (!annotation)
+      return undefined;
+  }
+
+  var module = this._getModuleForItemSrc(annotation.src);
+  if (module)
+    return module.getSnippet(annotation, opt_options);
+}
+
 /**
  * Highlights the specified annotation.
  * @param {Annotation} annotation the annotation
@@ -163,31 +267,149 @@ annotorious.Annotorious.prototype.highlightAnnotation = function(annotation) {
   }
 }
 
+/**
+ * Imports annotations in the specified format (e.g. 'w3c'), and adds them to the
+ * items on the page. Imported annotations are handled like newly created ones, i.e.
+ * they are passed to the storage adapter and can be undone. Imported text is sanitized
+ * the same way as text entered in the editor. Annotations with an ID that already
+ * exists on the page, or for items not on the page, are skipped.
+ * @param {object | string} data the annotations to import
+ * @param {string} format the format name
+ * @param {object} opt_options format-specific options (optional)
+ * @return {Array.<Annotation>} the imported annotations
+ */
+annotorious.Annotorious.prototype.importAnnotations = function(data, format, opt_options) {
+  var self = this;
+  var annotations = this._getFormat(format, false).parse(data, function(item_src) {
+    return self._getItem(item_src);
+  }, (opt_options) ? opt_options : {});
+
+  var imported = goog.array.filter(annotations, function(annotation) {
+    if (self.getAnnotationById(annotorious.annotation.ensureId(annotation))) {
+      console.log('Could not import annotation ' + annotation['id'] + ' - ID already exists');
+      return false;
+    }
+
+    var module = self._getModuleForItemSrc(annotation.src);
+    if (!module)
+      return false;
+
+    if (annotation.text)
+      annotation.text = goog.string.html.htmlSanitize(String(annotation.text), function(url) {
+        return url;
+      });
+    module.importAnnotation(annotation);
+    return true;
+  });
+  return imported;
+}
+
+/**
+ * Loads a file of annotations in the specified format (e.g. a YOLO label file for an
+ * image) from a URL, and imports them.
+ * @param {string} url the file URL
+ * @param {string} format the format name
+ * @param {object} opt_options format-specific options (optional - e.g. 'src' and 'classes' for YOLO)
+ * @return {Promise} a promise for the imported annotations
+ */
+annotorious.Annotorious.prototype.loadAnnotations = function(url, format, opt_options) {
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    goog.net.XhrIo.send(url, function(event) {
+      var xhr = event.target;
+      if (xhr.isSuccess()) {
+        try {
+          resolve(self.importAnnotations(xhr.getResponseText(), format, opt_options));
+        } catch (e) {
+          reject(e);
+        }
+      } else {
+        reject('GET ' + url + ' failed (HTTP status ' + xhr.getStatus() + ')');
+      }
+    });
+  });
+}
+
 /**
  * Makes an item annotatable, if there is a module that supports the item type.
  * @param {object} the annotatable item
+ * @param {object} opt_options per-item config options, e.g. 'selector', 'selectors', 'readOnly',
+ * 'hint', 'popup' or 'style' (optional)
  */
-annotorious.Annotorious.prototype.makeAnnotatable = function(item) {
+annotorious.Annotorious.prototype.makeAnnotatable = function(item, opt_options) {
   var module = goog.array.find(this._modules, function(module) {
     return module.supports(item);
   });
 
   if (module)
-    module.makeAnnotatable(item);
+    module.makeAnnotatable(item, opt_options);
   else
     throw('Error: Annotorious does not support this media type in the current version or build configuration.');
 }
 
+/**
+ * Removes annotation functionality from an item, restoring the original DOM element.
+ * @param {object} item the annotatable item
+ */
+annotorious.Annotorious.prototype.makeUnannotatable = function(item) {
+  var module = goog.array.find(this._modules, function(module) {
+    return module.supports(item);
+  });
+
+  if (module)
+    module.makeUnannotatable(item);
+}
+
+/**
+ * Redoes the last undone annotation operation on the item with the specified URL, or 
+ * the last undone operation on any item, in case no URL is specified.
+ * @param {string | undefined} opt_item_url an item URL (optional)
+ */
+annotorious.Annotorious.prototype.redo = function(opt_item_url) {
+  if (opt_item_url) {
+    var module = this._getModuleForItemSrc(opt_item_url);
+    if (module)
+      module.redo(opt_item_url);
+  } else {
+    goog.array.forEach(this._modules, function(module) {
+      module.redo();
+    });
+  }
+}
+
 /**
  * Removes an annotation from an item on the page.
+ * @param {Annotation | string | number} annotation the annotation, or the annotation ID
  */
 annotorious.Annotorious.prototype.removeAnnotation = function(annotation) {
+  if (!goog.isObject(annotation)) {
+    annotation = this.getAnnotationById(String(annotation));
+    if (!annotation)
+      return;
+  }
+
   var module = this._getModuleForItemSrc(annotation.src);
   
   if (module)
     module.removeAnnotation(annotation);
 }
 
+/**
+ * Renders an item with its annotations to an image at natural resolution, e.g. for
+ * printed reports or emails.
+ * @param {string} item_src the URL of the item
+ * @param {object} opt_options options (optional): 'highlight' (draw the highlighted annotation
+ * highlighted), 'labels' (number the annotations), 'legend' (add a legend of annotation texts),
+ * 'type' (image MIME type, default is 'image/png'), 'blob' (return a promise for a Blob instead
+ * of a data URL)
+ * @return {string | Promise | undefined} the data URL, or a promise for the Blob
+ */
+annotorious.Annotorious.prototype.renderToImage = function(item_src, opt_options) {
+  var module = this._getModuleForItemSrc(item_src);
+  if (module)
+    return module.renderToImage(item_src, opt_options);
+}
+
 /**
  * Sets a specific selector on a particular item.
  *
@@ -207,6 +429,16 @@ annotorious.Annotorious.prototype.setActiveSelector = function(item_url, selecto
     module.setActiveSelector(item_url, selector);  
 }
 
+/**
+ * Sets the maximum number of annotation operations that can be undone, per item.
+ * @param {number} depth the history depth
+ */
+annotorious.Annotorious.prototype.setHistoryDepth = function(depth) {
+  goog.array.forEach(this._modules, function(module) {
+    module.setHistoryDepth(depth);
+  });
+}
+
 /**
  * Enables (or disables) the ability to create new annotations on an annotatable item.
  * @param {boolean} enabled if <code>true</code> new annotations can be created
@@ -217,16 +449,77 @@ annotorious.Annotorious.prototype.setSelectionEnabled = function(enabled) {
   });
 }
 
+/**
+ * Sets the storage adapter that persists annotations. The adapter is called to load
+ * the annotations of an item when it becomes annotatable, and to store or delete 
+ * annotations when they are saved in the editor or deleted in the popup.
+ * @param {StorageAdapter} storage the storage adapter
+ */
+annotorious.Annotorious.prototype.setStorage = function(storage) {
+  goog.array.forEach(this._modules, function(module) {
+    module.setStorage(storage);
+  });
+}
+
+/**
+ * Undoes the last annotation operation (create, edit or delete) on the item with the
+ * specified URL, or the last operation on any item, in case no URL is specified.
+ * @param {string | undefined} opt_item_url an item URL (optional)
+ */
+annotorious.Annotorious.prototype.undo = function(opt_item_url) {
+  if (opt_item_url) {
+    var module = this._getModuleForItemSrc(opt_item_url);
+    if (module)
+      module.undo(opt_item_url);
+  } else {
+    goog.array.forEach(this._modules, function(module) {
+      module.undo();
+    });
+  }
+}
+
+/**
+ * Changes an annotation and updates its rendering. Fires an ANNOTATION_UPDATED
+ * event, which holds both the previous and the new state.
+ * @param {Annotation | string | number} annotation the annotation, or the annotation ID
+ * @param {object} changes the properties to change (e.g. 'text' or 'shapes')
+ */
+annotorious.Annotorious.prototype.updateAnnotation = function(annotation, changes) {
+  if (!goog.isObject(annotation)) {
+    annotation = this.getAnnotationById(String(annotation));
+    if (!annotation)
+      return;
+  }
+
+  var module = this._getModuleForItemSrc(annotation.src);
+
+  if (module)
+    module.updateAnnotation(annotation, changes);
+}
+
 
 window['anno'] = new annotorious.Annotorious();
 annotorious.Annotorious.prototype['addAnnotation'] = annotorious.Annotorious.prototype.addAnnotation;
 annotorious.Annotorious.prototype['addHandler'] = annotorious.Annotorious.prototype.addHandler;
 annotorious.Annotorious.prototype['addPlugin'] = annotorious.Annotorious.prototype.addPlugin;
+annotorious.Annotorious.prototype['destroy'] = annotorious.Annotorious.prototype.destroy;
+annotorious.Annotorious.prototype['exportAnnotations'] = annotorious.Annotorious.prototype.exportAnnotations;
 annotorious.Annotorious.prototype['getActiveSelector'] = annotorious.Annotorious.prototype.getActiveSelector;
+annotorious.Annotorious.prototype['getAnnotationById'] = annotorious.Annotorious.prototype.getAnnotationById;
 annotorious.Annotorious.prototype['getAnnotations'] = annotorious.Annotorious.prototype.getAnnotations;
 annotorious.Annotorious.prototype['getAvailableSelectors'] = annotorious.Annotorious.prototype.getAvailableSelectors;
+annotorious.Annotorious.prototype['getSnippet'] = annotorious.Annotorious.prototype.getSnippet;
 annotorious.Annotorious.prototype['highlightAnnotation'] = annotorious.Annotorious.prototype.highlightAnnotation;
+annotorious.Annotorious.prototype['importAnnotations'] = annotorious.Annotorious.prototype.importAnnotations;
+annotorious.Annotorious.prototype['loadAnnotations'] = annotorious.Annotorious.prototype.loadAnnotations;
 annotorious.Annotorious.prototype['makeAnnotatable'] = annotorious.Annotorious.prototype.makeAnnotatable;
+annotorious.Annotorious.prototype['makeUnannotatable'] = annotorious.Annotorious.prototype.makeUnannotatable;
+annotorious.Annotorious.prototype['redo'] = annotorious.Annotorious.prototype.redo;
 annotorious.Annotorious.prototype['removeAnnotation'] = annotorious.Annotorious.prototype.removeAnnotation;
+annotorious.Annotorious.prototype['renderToImage'] = annotorious.Annotorious.prototype.renderToImage;
 annotorious.Annotorious.prototype['setActiveSelector'] = annotorious.Annotorious.prototype.setActiveSelector;
+annotorious.Annotorious.prototype['setHistoryDepth'] = annotorious.Annotorious.prototype.setHistoryDepth;
 annotorious.Annotorious.prototype['setSelectionEnabled'] = annotorious.Annotorious.prototype.setSelectionEnabled;
+annotorious.Annotorious.prototype['setStorage'] = annotorious.Annotorious.prototype.setStorage;
+annotorious.Annotorious.prototype['undo'] = annotorious.Annotorious.prototype.undo;
+annotorious.Annotorious.prototype['updateAnnotation'] = annotorious.Annotorious.prototype.updateAnnotation;
@@ -4,6 +4,7 @@ var humanEvents = annotorious.humanEvents;
 goog.provide('annotorious.editor');
 
 goog.require('goog.soy');
+goog.require('goog.array');
 goog.require('goog.dom');
 goog.require('goog.dom.query');
 goog.require('goog.style');
@@ -29,9 +30,18 @@ annotorious.editor.Editor = function(annotator, parentEl) {
   /** @private **/
   this._original_annotation;
 
+  /** @private **/
+  this._original_state;
+
+  /** @private **/
+  this._selector;
+
   /** @private **/
   this._textarea = goog.dom.query('.annotorious-editor-text', this.element)[0];
 
+  /** @private **/
+  this._error = goog.dom.query('.annotorious-editor-error', this.element)[0];
+
   /** @private **/
   this._btnCancel = goog.dom.query('.annotorious-editor-button-cancel', this.element)[0];
 
@@ -44,22 +54,63 @@ annotorious.editor.Editor = function(annotator, parentEl) {
   /** @private **/
   this._extraFields = [];
 
+  /** @private **/
+  this._listenerKeys = [];
+
+  /**
+   * Set while a save waits for BEFORE_ANNOTATION_* handlers, so that repeated clicks
+   * don't save the annotation more than once.
+   * @private
+   */
+  this._saving = false;
+
   var self = this;
-  goog.events.listen(this._btnCancel, humanEvents.CLICK, function(event) {
+  this._listenerKeys.push(goog.events.listen(this._btnCancel, humanEvents.CLICK, function(event) {
     event.preventDefault();
     annotator.stopSelection(self._original_annotation);
     self.close();
-  });
+  }));
 
-  goog.events.listen(this._btnSave, humanEvents.CLICK, function(event) {
+  this._listenerKeys.push(goog.events.listen(this._btnSave, humanEvents.CLICK, function(event) {
     event.preventDefault();
-    var annotation = self.getAnnotation();
-    annotator.addAnnotation(annotation);
-    annotator.fireEvent(annotorious.events.EventType.ANNOTATION_CREATED, annotation);
-    annotator.stopSelection();
-    self.close();
-  });
+    if (self._saving)
+      return;
 
+    var annotation = self.getAnnotation();
+    var original_annotation = self._original_annotation;
+    var original_state = self._original_state;
+    var beforeEvent = (original_annotation) ? annotorious.events.EventType.BEFORE_ANNOTATION_UPDATED :
+      annotorious.events.EventType.BEFORE_ANNOTATION_CREATED;
+
+    self._saving = true;
+    self._showError(false);
+    annotator.fireCancellableEvent(beforeEvent, annotation).then(function() {
+      self._saving = false;
+      annotator.addAnnotation(annotation);
+
+      if (original_annotation) {
+        annotator.fireEvent(annotorious.events.EventType.ANNOTATION_UPDATED,
+          { 'annotation': annotation, 'previous': original_state });
+        annotator.getHistory().record(annotorious.history.OperationType.UPDATE, annotation, original_state);
+      } else {
+        annotator.fireEvent(annotorious.events.EventType.ANNOTATION_CREATED, annotation);
+        annotator.getHistory().record(annotorious.history.OperationType.CREATE, annotation);
+      }
+
+      annotator.stopSelection();
+      self.close();
+    }, function(reason) {
+      // Vetoed - revert the edit, but leave the editor open
+      self._saving = false;
+      if (original_annotation) {
+        original_annotation.text = original_state['text'];
+        original_annotation['shapes'] = goog.array.clone(original_state['shapes']);
+      }
+      self._showError(true, reason);
+    });
+  }));
+
+  goog.style.showElement(this._error, false);
   goog.style.showElement(this.element, false);
   goog.dom.appendChild(parentEl, this.element);
   this._textarea.focus();
@@ -85,11 +136,15 @@ annotorious.editor.Editor.prototype.addField = function(field) {
 /**
  * Opens the edit form with an annotation.
  * @param {Annotation} opt_annotation the annotation to edit or undefined to create a new annotation
+ * @param {object} opt_selector the selector in which the annotation's shape is being edited (optional)
  */
-annotorious.editor.Editor.prototype.open = function(opt_annotation) {
+annotorious.editor.Editor.prototype.open = function(opt_annotation, opt_selector) {
   this._original_annotation = opt_annotation;
-  if (opt_annotation)
+  this._selector = opt_selector;
+  if (opt_annotation) {
+    this._original_state = annotorious.history.snapshot(opt_annotation);
     this._textarea.value = opt_annotation.text;
+  }
 
   goog.style.showElement(this.element, true);
   this._textarea.focus();
@@ -103,6 +158,33 @@ annotorious.editor.Editor.prototype.open = function(opt_annotation) {
 annotorious.editor.Editor.prototype.close = function() {
   goog.style.showElement(this.element, false);
   this._textarea.value = "";
+  this._showError(false);
+}
+
+/**
+ * Shows (or hides) the message explaining why saving was vetoed.
+ * @param {boolean} show if <code>true</code> the message is shown
+ * @param {string | Error} opt_reason the reason provided by the event handler (optional)
+ * @private
+ */
+annotorious.editor.Editor.prototype._showError = function(show, opt_reason) {
+  if (show) {
+    var message = (opt_reason && opt_reason.message) ? opt_reason.message : opt_reason;
+    goog.dom.setTextContent(this._error, (message) ? message : 'The annotation could not be saved.');
+  }
+  goog.style.showElement(this._error, show);
+}
+
+/**
+ * Destroys the editor, detaching all listeners and removing it from the DOM.
+ */
+annotorious.editor.Editor.prototype.destroy = function() {
+  goog.array.forEach(this._listenerKeys, function(key) {
+    goog.events.unlistenByKey(key);
+  });
+  this._listenerKeys = [];
+
+  goog.dom.removeNode(this.element);
 }
 
 /**
@@ -124,6 +206,12 @@ annotorious.editor.Editor.prototype.getAnnotation = function() {
 
   if (this._original_annotation) {
     this._original_annotation.text = sanitized;
+
+    // Save the edited shape in place of the original
+    var shape = (this._selector) ? this._selector.getShape() : undefined;
+    if (shape)
+      this._original_annotation['shapes'] = [ shape ];
+
     return this._original_annotation;
   } else {
     return new annotorious.annotation.Annotation(this._item.src, sanitized, this._annotator.getActiveSelector().getShape());  
@@ -77,6 +77,26 @@ annotorious.events.EventBroker.prototype.fireEvent = function(type, event) {
   }    
 };
 
+/**
+ * Fires a cancellable event. Handlers can veto the operation the event announces,
+ * either by returning false, or by returning a promise that is rejected (optionally
+ * with a reason to display to the user).
+ * @param {annotorious.events.EventType} type the event type
+ * @param {object} the event object
+ * @returns {Promise} a promise that is resolved if no handler vetoes, or rejected with the reason otherwise
+ */
+annotorious.events.EventBroker.prototype.fireCancellableEvent = function(type, event) {
+  var handlers = (this._handlers[type]) ? this._handlers[type] : [];
+  return Promise.all(goog.array.map(handlers, function(handler) {
+    return new Promise(function(resolve) {
+      resolve(handler(event));
+    }).then(function(result) {
+      if (result === false)
+        return Promise.reject();
+    });
+  }));
+};
+
 /**
  * Annotation lifecycle events
  * @enum {string}
@@ -128,6 +148,22 @@ annotorious.events.EventType = {
    */
   BEFORE_POPUP_HIDE: 'beforePopupHide',
 
+  /**
+   * An annotation is about to be removed - handlers can veto by returning false or a rejected promise
+   */
+  BEFORE_ANNOTATION_REMOVED: 'beforeAnnotationRemoved',
+
+  /**
+   * A new annotation is about to be saved - handlers can veto by returning false or a rejected promise
+   */
+  BEFORE_ANNOTATION_CREATED: 'beforeAnnotationCreated',
+
+  /**
+   * Changes to an existing annotation are about to be saved - handlers can veto by returning
+   * false or a rejected promise
+   */
+  BEFORE_ANNOTATION_UPDATED: 'beforeAnnotationUpdated',
+
   /**
    * An annotation was removed
    */
@@ -136,6 +172,12 @@ annotorious.events.EventType = {
   /**
    * Annotation editing was completed - annotation saved
    */
-  ANNOTATION_CREATED: 'onAnnotationCreated'
+  ANNOTATION_CREATED: 'onAnnotationCreated',
+
+  /**
+   * An existing annotation was changed - the event object holds the 'annotation' (in
+   * its new state) and its 'previous' state ('text' and 'shapes')
+   */
+  ANNOTATION_UPDATED: 'onAnnotationUpdated'
 
 };
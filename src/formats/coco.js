@@ -0,0 +1,184 @@
+goog.provide('annotorious.formats.coco');
+
+goog.require('goog.array');
+goog.require('goog.json');
+goog.require('annotorious.formats');
+
+/**
+ * Import/export of COCO object detection datasets (JSON). Rectangles are exported as
+ * 'bbox' only, polygons with their 'segmentation' (and bbox), ellipses with a polygonal
+ * approximation as 'segmentation'. Multi-polygons have one segmentation polygon per part,
+ * holes are not exported (but the 'area' accounts for them). Categories are derived from
+ * the annotation labels (see annotorious.formats.getLabel). Coordinates are natural pixels.
+ */
+
+/**
+ * Serializes annotations to a COCO dataset.
+ * @param {Array.<Annotation>} annotations the annotations
+ * @param {function} getItem the item lookup function
+ * @param {object} options options: 'categories' - the list of category names (categories not
+ * in the list are appended), 'labelField' - the annotation property that holds the label,
+ * 'baseUrl' - base URL that image file names are relative to
+ * @returns {object} the COCO dataset
+ */
+annotorious.formats.coco.serialize = function(annotations, getItem, options) {
+  var images = [];
+  var imageIds = {};
+  var categoryNames = (options['categories']) ? goog.array.clone(options['categories']) : [];
+  var cocoAnnotations = [];
+
+  goog.array.forEach(annotations, function(annotation) {
+    var item = getItem(annotation.src);
+    var shape = annotorious.formats.toNaturalPixels(annotation['shapes'][0], item);
+    if (!shape) {
+      console.log('Could not export annotation ' + annotation['id'] + ' - image size not known');
+      return;
+    }
+
+    if (!imageIds[annotation.src]) {
+      images.push({
+        'id': images.length + 1,
+        'file_name': annotorious.formats.toFileName(annotation.src, options),
+        'width': item.naturalWidth,
+        'height': item.naturalHeight
+      });
+      imageIds[annotation.src] = images.length;
+    }
+
+    var label = annotorious.formats.getLabel(annotation, options);
+    if (!goog.array.contains(categoryNames, label))
+      categoryNames.push(label);
+
+    var bounds = annotorious.shape.getBoundingRect(shape);
+    var segmentation = [];
+    var outline = (shape.type == annotorious.shape.ShapeType.RECTANGLE) ? undefined :
+      (shape.type == annotorious.shape.ShapeType.MULTIPOLYGON) ? shape : annotorious.shape.toPolygon(shape);
+    if (outline) {
+      // One segmentation polygon per part - COCO polygons can't have holes
+      goog.array.forEach(annotorious.shape.getPolygons(outline), function(polygon) {
+        var coords = [];
+        goog.array.forEach(polygon.points, function(pt) {
+          coords.push(pt.x, pt.y);
+        });
+        segmentation.push(coords);
+      });
+    }
+
+    cocoAnnotations.push({
+      'id': cocoAnnotations.length + 1,
+      'image_id': imageIds[annotation.src],
+      'category_id': goog.array.indexOf(categoryNames, label) + 1,
+      'bbox': [ bounds.x, bounds.y, bounds.width, bounds.height ],
+      'segmentation': segmentation,
+      'area': annotorious.shape.getSize(shape),
+      'iscrowd': 0,
+      'attributes': { 'id': annotation['id'], 'text': annotation.text }
+    });
+  });
+
+  var categories = goog.array.map(categoryNames, function(name, idx) {
+    return { 'id': idx + 1, 'name': name, 'supercategory': '' };
+  });
+
+  return {
+    'info': { 'description': 'Exported from Annotorious', 'date_created': new Date().toISOString() },
+    'images': images,
+    'categories': categories,
+    'annotations': cocoAnnotations
+  };
+}
+
+/**
+ * Parses a COCO dataset, as object or JSON string. Crowd annotations (RLE segmentation) are
+ * imported as bounding boxes.
+ * @param {object | string} data the COCO dataset
+ * @param {function} getItem the item lookup function
+ * @param {object} options options: 'labelField' - the annotation property to store the label in,
+ * 'baseUrl' - base URL that image file names are relative to, 'src' - the item to use for
+ * images that are not on the page
+ * @returns {Array.<Annotation>} the annotations
+ */
+annotorious.formats.coco.parse = function(data, getItem, options) {
+  if (goog.isString(data))
+    data = goog.json.parse(data);
+
+  var images = {};
+  goog.array.forEach(data['images'] || [], function(image) {
+    images[image['id']] = image;
+  });
+
+  var categories = {};
+  goog.array.forEach(data['categories'] || [], function(category) {
+    categories[category['id']] = category['name'];
+  });
+
+  var annotations = [];
+  goog.array.forEach(data['annotations'] || [], function(coco) {
+    var image = images[coco['image_id']];
+    if (!image)
+      return;
+
+    var src = annotorious.formats.fromFileName(image['file_name'], options);
+    var item = getItem(src);
+    if (!item && options['src']) {
+      src = options['src'];
+      item = getItem(src);
+    }
+
+    var size = (image['width'] && image['height']) ? { naturalWidth: image['width'], naturalHeight: image['height'] } : item;
+    if (!annotorious.formats.hasNaturalSize(size)) {
+      console.log('Could not import annotation ' + coco['id'] + ' - image size not known');
+      return;
+    }
+
+    var shape;
+
+    // Polygon segmentations only - parts need at least three x/y pairs
+    var segmentation = goog.array.filter(goog.isArray(coco['segmentation']) ? coco['segmentation'] : [], function(coords) {
+      return goog.isArray(coords) && coords.length >= 6 && coords.length % 2 == 0;
+    });
+    if (segmentation.length > 0) {
+      var polygons = goog.array.map(segmentation, function(coords) {
+        var points = [];
+        for (var i=0; i<coords.length - 1; i+=2)
+          points.push(new annotorious.shape.geom.Point(coords[i], coords[i + 1]));
+        return new annotorious.shape.geom.Polygon(points);
+      });
+
+      // Several segmentation polygons are the parts of one object
+      if (polygons.length == 1)
+        shape = new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON, polygons[0]);
+      else
+        shape = new annotorious.shape.Shape(annotorious.shape.ShapeType.MULTIPOLYGON, new annotorious.shape.geom.MultiPolygon(polygons));
+    } else {
+      // No polygon segmentation (e.g. run-length encoded masks) - fall back to the bounding box
+      var bbox = coco['bbox'];
+      var valid = goog.isArray(bbox) && bbox.length >= 4 && goog.array.every(bbox.slice(0, 4), function(n) {
+        return goog.isNumber(n) && !isNaN(n);
+      });
+      if (!valid) {
+        console.log('Could not import annotation ' + coco['id'] + ' - no polygon segmentation or bounding box');
+        return;
+      }
+
+      shape = new annotorious.shape.Shape(annotorious.shape.ShapeType.RECTANGLE,
+        new annotorious.shape.geom.Rectangle(bbox[0], bbox[1], bbox[2], bbox[3]));
+    }
+
+    var label = categories[coco['category_id']];
+    var attributes = (coco['attributes']) ? coco['attributes'] : {};
+    var text = (goog.isDef(attributes['text'])) ? attributes['text'] : label;
+
+    var annotation = new annotorious.annotation.Annotation(src, text,
+      annotorious.formats.fromNaturalPixels(shape, size), attributes['id']);
+    if (label)
+      annotorious.formats.setLabel(annotation, label, options);
+    annotations.push(annotation);
+  });
+  return annotations;
+}
+
+annotorious.formats.register('coco', {
+  serialize: annotorious.formats.coco.serialize,
+  parse: annotorious.formats.coco.parse
+});
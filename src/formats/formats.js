@@ -0,0 +1,253 @@
+goog.provide('annotorious.formats');
+
+goog.require('goog.array');
+goog.require('goog.string');
+
+/**
+ * The registered import/export formats, by name.
+ * @private
+ */
+annotorious.formats._formats = {};
+
+/**
+ * Registers an import/export format. A format is an object with (one or both of) the methods:
+ *
+ * serialize(annotations, getItem, options) -> returns the serialized annotations
+ * parse(data, getItem, options)            -> returns an array of annotations
+ *
+ * 'getItem' is a function(item_src) that returns information about the annotated item
+ * (src, element, width, height, naturalWidth, naturalHeight), or undefined if the item
+ * is not on the page.
+ * @param {string} name the format name
+ * @param {object} format the format
+ */
+annotorious.formats.register = function(name, format) {
+  annotorious.formats._formats[name.toLowerCase()] = format;
+}
+
+/**
+ * Returns the format with the specified name.
+ * @param {string} name the format name
+ * @returns {object | undefined} the format, or undefined if there is no such format
+ */
+annotorious.formats.get = function(name) {
+  return annotorious.formats._formats[name.toLowerCase()];
+}
+
+/**
+ * Checks whether the natural (i.e. original pixel) size of an item is known.
+ * @param {object | undefined} item the item
+ * @returns {boolean} true if the natural size is known
+ */
+annotorious.formats.hasNaturalSize = function(item) {
+  return (item && item.naturalWidth > 0 && item.naturalHeight > 0) ? true : false;
+}
+
+/**
+ * Converts a shape to the natural pixel coordinates of the item, i.e. the pixel
+ * coordinates of the original image file. Handles both shapes in fractional units
+ * and shapes in (viewport) pixel units.
+ * @param {annotorious.shape.Shape} shape the shape
+ * @param {object} item the item
+ * @returns {annotorious.shape.Shape | undefined} the shape, or undefined if the item size is not known
+ */
+annotorious.formats.toNaturalPixels = function(shape, item) {
+  if (!annotorious.formats.hasNaturalSize(item))
+    return undefined;
+
+  var sx = item.naturalWidth;
+  var sy = item.naturalHeight;
+  if (shape.units == annotorious.shape.Units.PIXEL) {
+    sx = sx / item.width;
+    sy = sy / item.height;
+  }
+
+  return annotorious.shape.transform(shape, function(xy) {
+    return { x: xy.x * sx, y: xy.y * sy };
+  });
+}
+
+/**
+ * Converts a shape in natural pixel coordinates to fractional units.
+ * @param {annotorious.shape.Shape} shape the shape
+ * @param {object} item the item
+ * @returns {annotorious.shape.Shape | undefined} the shape, or undefined if the item size is not known
+ */
+annotorious.formats.fromNaturalPixels = function(shape, item) {
+  if (!annotorious.formats.hasNaturalSize(item))
+    return undefined;
+
+  return annotorious.shape.transform(shape, function(xy) {
+    return { x: xy.x / item.naturalWidth, y: xy.y / item.naturalHeight };
+  });
+}
+
+/**
+ * Converts a shape to fractional units (i.e. coordinates relative to the image size).
+ * Shapes in fractional units are returned as they are.
+ * @param {annotorious.shape.Shape} shape the shape
+ * @param {object | undefined} item the item
+ * @returns {annotorious.shape.Shape | undefined} the shape, or undefined if the shape is in
+ * pixel units and the item is not known
+ */
+annotorious.formats.toFraction = function(shape, item) {
+  if (shape.units != annotorious.shape.Units.PIXEL)
+    return shape;
+
+  if (!item || !(item.width > 0 && item.height > 0))
+    return undefined;
+
+  return annotorious.shape.transform(shape, function(xy) {
+    return { x: xy.x / item.width, y: xy.y / item.height };
+  });
+}
+
+/**
+ * Converts a polygon or multi-polygon shape to SVG path data, with one closed subpath per
+ * ring. Rendered with fill-rule="evenodd", holes are left out.
+ * @param {annotorious.shape.Shape} shape the shape
+ * @returns {string} the path data
+ */
+annotorious.formats.toPathData = function(shape) {
+  var subpaths = [];
+  goog.array.forEach(annotorious.shape.getPolygons(shape), function(polygon) {
+    goog.array.forEach(annotorious.shape.getRings(polygon), function(points) {
+      var coords = goog.array.map(points, function(pt) { return pt.x + ',' + pt.y; });
+      subpaths.push('M' + coords.join(' L') + ' Z');
+    });
+  });
+  return subpaths.join(' ');
+}
+
+/**
+ * Parses SVG path data (absolute M, L and Z commands only) into a polygon or multi-polygon
+ * shape. Subpaths that start inside an earlier polygon become its holes, all others new
+ * polygons.
+ * @param {string} d the path data
+ * @returns {annotorious.shape.Shape | undefined} the shape, or undefined if the path cannot be parsed
+ */
+annotorious.formats.fromPathData = function(d) {
+  var tokens = d.match(/[a-zA-Z]|-?[0-9.]+(?:e-?[0-9]+)?/g) || [];
+  var rings = [];
+  var ring;
+  for (var i=0; i<tokens.length; i++) {
+    var token = tokens[i];
+    if (token == 'M') {
+      ring = [];
+      rings.push(ring);
+    } else if (token == 'Z') {
+      ring = undefined;
+    } else if (token != 'L') {
+      if (!ring || i + 1 >= tokens.length || isNaN(parseFloat(token)))
+        return undefined;
+      ring.push(new annotorious.shape.geom.Point(parseFloat(token), parseFloat(tokens[++i])));
+    }
+  }
+
+  var polygons = [];
+  goog.array.forEach(rings, function(points) {
+    if (points.length < 3)
+      return;
+
+    var outer = goog.array.find(polygons, function(polygon) {
+      return annotorious.shape.intersects(new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON,
+        new annotorious.shape.geom.Polygon(polygon.points)), points[0].x, points[0].y);
+    });
+
+    if (outer)
+      outer['holes'] = (outer['holes'] || []).concat([ points ]);
+    else
+      polygons.push(new annotorious.shape.geom.Polygon(points));
+  });
+
+  if (polygons.length == 0)
+    return undefined;
+  else if (polygons.length == 1)
+    return new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON, polygons[0]);
+  else
+    return new annotorious.shape.Shape(annotorious.shape.ShapeType.MULTIPOLYGON, new annotorious.shape.geom.MultiPolygon(polygons));
+}
+
+/**
+ * Converts annotation text (which may contain HTML markup) to plain text.
+ * @param {string | undefined} text the text
+ * @returns {string} the plain text
+ */
+annotorious.formats.toPlainText = function(text) {
+  return (text) ? goog.string.unescapeEntities(text.replace(/<[^>]*>/g, '')) : '';
+}
+
+/**
+ * Returns the label (i.e. category or class name) of an annotation, for formats used
+ * in machine learning: the value of the 'labelField' property, if this option is set; 
+ * otherwise the first of the annotation's 'tags' or, if there are none, the annotation text.
+ * @param {Annotation} annotation the annotation
+ * @param {object} options the format options
+ * @returns {string} the label
+ */
+annotorious.formats.getLabel = function(annotation, options) {
+  var label;
+  if (options['labelField']) {
+    label = annotation[options['labelField']];
+  } else {
+    var tags = annotation['tags'];
+    label = (goog.isArray(tags) && tags.length > 0) ? tags[0] : annotorious.formats.toPlainText(annotation.text);
+  }
+  return (label) ? goog.string.trim(String(label)) : 'unlabeled';
+}
+
+/**
+ * Sets the label of an imported annotation: in the 'labelField' property, if this option
+ * is set, or as the annotation's single tag otherwise.
+ * @param {Annotation} annotation the annotation
+ * @param {string} label the label
+ * @param {object} options the format options
+ */
+annotorious.formats.setLabel = function(annotation, label, options) {
+  if (options['labelField'])
+    annotation[options['labelField']] = label;
+  else
+    annotation['tags'] = [ label ];
+}
+
+/**
+ * Converts an item URL to a file name, relative to the 'baseUrl' option (if set and
+ * if the URL starts with it).
+ * @param {string} src the item URL
+ * @param {object} options the format options
+ * @returns {string} the file name
+ */
+annotorious.formats.toFileName = function(src, options) {
+  var baseUrl = options['baseUrl'];
+  return (baseUrl && src.indexOf(baseUrl) == 0) ? src.substring(baseUrl.length) : src;
+}
+
+/**
+ * Resolves a file name to an item URL, relative to the 'baseUrl' option (if set).
+ * @param {string} fileName the file name
+ * @param {object} options the format options
+ * @returns {string} the item URL
+ */
+annotorious.formats.fromFileName = function(fileName, options) {
+  var baseUrl = options['baseUrl'];
+  return (baseUrl && fileName.indexOf(':') < 0) ? baseUrl + fileName : fileName;
+}
+
+/**
+ * Returns the properties of an annotation that don't have a dedicated representation
+ * in a format (i.e. everything except ID, source, text and shapes), so that they can
+ * be carried along as metadata.
+ * @param {Annotation} annotation the annotation
+ * @returns {object | undefined} the metadata, or undefined if there is none
+ */
+annotorious.formats.getMetadata = function(annotation) {
+  var metadata;
+  for (var key in annotation) {
+    if (annotation.hasOwnProperty(key) && !goog.array.contains(['id', 'src', 'text', 'shapes'], key)) {
+      if (!metadata)
+        metadata = {};
+      metadata[key] = annotation[key];
+    }
+  }
+  return metadata;
+}
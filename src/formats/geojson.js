@@ -0,0 +1,290 @@
+goog.provide('annotorious.formats.geojson');
+
+goog.require('goog.array');
+goog.require('goog.json');
+goog.require('goog.object');
+goog.require('annotorious.formats');
+
+/**
+ * Import/export of annotations on maps as a GeoJSON FeatureCollection (RFC 7946). Each
+ * annotation becomes a Polygon feature (multi-polygons: a MultiPolygon feature, polylines
+ * and arrows: a LineString feature), with the annotation ID as feature ID, and the text
+ * and metadata in the feature properties.
+ * Coordinates are always longitude/latitude (EPSG:4326): they are converted from and to
+ * the map projection using the 'toLonLat' and 'fromLonLat' functions of the item (see
+ * OpenLayersAnnotator.getItem).
+ */
+
+/**
+ * Returns the closed GeoJSON ring for a polygon outline or hole, in longitude/latitude.
+ * @param {Array.<annotorious.shape.geom.Point>} points the ring points
+ * @param {object} item the item
+ * @param {boolean} exterior true for the outline, false for holes
+ * @returns {Array.<Array.<number>>} the ring
+ * @private
+ */
+annotorious.formats.geojson._toRing = function(points, item, exterior) {
+  var ring = goog.array.map(points, function(xy) {
+    var lonLat = item.toLonLat(xy);
+    return [ lonLat.x, lonLat.y ];
+  });
+
+  // Exterior rings are counterclockwise, i.e. have a positive area - holes are clockwise
+  var area = 0;
+  for (var i = 0; i < ring.length; i++) {
+    var j = (i + 1) % ring.length;
+    area += ring[i][0] * ring[j][1] - ring[j][0] * ring[i][1];
+  }
+  if ((exterior) ? area < 0 : area > 0)
+    ring.reverse();
+
+  ring.push(ring[0]);
+  return ring;
+}
+
+/**
+ * Returns the GeoJSON Polygon coordinates (outline, followed by the holes) for a polygon.
+ * @param {annotorious.shape.geom.Polygon} polygon the polygon
+ * @param {object} item the item
+ * @returns {Array.<Array.<Array.<number>>>} the coordinates
+ * @private
+ */
+annotorious.formats.geojson._toPolygonCoordinates = function(polygon, item) {
+  return goog.array.map(annotorious.shape.getRings(polygon), function(points, idx) {
+    return annotorious.formats.geojson._toRing(points, item, idx == 0);
+  });
+}
+
+/**
+ * Returns the GeoJSON LineString coordinates for a line shape, in longitude/latitude.
+ * @param {annotorious.shape.Shape} shape the shape
+ * @param {object} item the item
+ * @returns {Array.<Array.<number>>} the coordinates
+ * @private
+ */
+annotorious.formats.geojson._toLineString = function(shape, item) {
+  return goog.array.map(shape.geometry.points, function(xy) {
+    var lonLat = item.toLonLat(xy);
+    return [ lonLat.x, lonLat.y ];
+  });
+}
+
+/**
+ * Converts a GeoJSON ring (in longitude/latitude) to points in map coordinates.
+ * @param {Array.<Array.<number>>} ring the ring
+ * @param {object} item the item
+ * @returns {Array.<object>} the points, without the closing point
+ * @private
+ */
+annotorious.formats.geojson._toPoints = function(ring, item) {
+  var points = goog.array.map(ring, function(position) {
+    return item.fromLonLat({ x: position[0], y: position[1] });
+  });
+
+  var first = points[0];
+  var last = points[points.length - 1];
+  if (first.x == last.x && first.y == last.y)
+    points.pop();
+
+  return points;
+}
+
+/**
+ * Converts GeoJSON Polygon coordinates to a polygon in map coordinates.
+ * @param {Array.<Array.<Array.<number>>>} coordinates the coordinates
+ * @param {object} item the item
+ * @returns {annotorious.shape.geom.Polygon} the polygon
+ * @private
+ */
+annotorious.formats.geojson._fromPolygonCoordinates = function(coordinates, item) {
+  var rings = goog.array.map(coordinates, function(ring) {
+    return annotorious.formats.geojson._toPoints(ring, item);
+  });
+  return new annotorious.shape.geom.Polygon(rings[0], rings.slice(1));
+}
+
+/**
+ * Converts a GeoJSON ring (in longitude/latitude) to a shape in map coordinates. Rings
+ * with four axis-aligned edges become rectangles, all others polygons.
+ * @param {Array.<Array.<number>>} ring the ring
+ * @param {object} item the item
+ * @returns {annotorious.shape.Shape} the shape
+ * @private
+ */
+annotorious.formats.geojson._fromRing = function(ring, item) {
+  var points = annotorious.formats.geojson._toPoints(ring, item);
+
+  var bounds = annotorious.shape.getBoundingRect(new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON,
+    new annotorious.shape.geom.Polygon(points)));
+
+  var epsilon = Math.max(bounds.width, bounds.height) * 1e-9;
+  var isRectangle = (points.length == 4) && goog.array.every(points, function(xy, idx) {
+    var next = points[(idx + 1) % points.length];
+    return Math.abs(xy.x - next.x) <= epsilon || Math.abs(xy.y - next.y) <= epsilon;
+  });
+
+  if (isRectangle)
+    return new annotorious.shape.Shape(annotorious.shape.ShapeType.RECTANGLE,
+      new annotorious.shape.geom.Rectangle(bounds.x, bounds.y, bounds.width, bounds.height));
+  else
+    return new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON,
+      new annotorious.shape.geom.Polygon(points));
+}
+
+/**
+ * Checks if a list of GeoJSON positions (e.g. a ring) has at least the specified
+ * number of positions, and if all of them are numeric.
+ * @param {Array.<Array.<number>>} positions the positions
+ * @param {number} minLength the minimum number of positions
+ * @returns {boolean} true if the positions are valid
+ * @private
+ */
+annotorious.formats.geojson._isValidPositions = function(positions, minLength) {
+  return goog.isArray(positions) && positions.length >= minLength && goog.array.every(positions, function(position) {
+    return goog.isArray(position) && goog.isNumber(position[0]) && goog.isNumber(position[1]) &&
+      !isNaN(position[0]) && !isNaN(position[1]);
+  });
+}
+
+/**
+ * Checks if GeoJSON Polygon coordinates have an exterior ring, and if all rings have at
+ * least three valid positions.
+ * @param {Array.<Array.<Array.<number>>>} coordinates the coordinates
+ * @returns {boolean} true if the coordinates are valid
+ * @private
+ */
+annotorious.formats.geojson._isValidPolygon = function(coordinates) {
+  return goog.isArray(coordinates) && coordinates.length > 0 && goog.array.every(coordinates, function(ring) {
+    return annotorious.formats.geojson._isValidPositions(ring, 3);
+  });
+}
+
+/**
+ * Serializes annotations on maps to a GeoJSON FeatureCollection. Annotations on
+ * items without a map projection (e.g. images) are skipped.
+ * @param {Array.<Annotation>} annotations the annotations
+ * @param {function} getItem the item lookup function
+ * @param {object} options options (none supported at the moment)
+ * @returns {object} the FeatureCollection
+ */
+annotorious.formats.geojson.serialize = function(annotations, getItem, options) {
+  var features = [];
+  goog.array.forEach(annotations, function(annotation) {
+    var item = getItem(annotation.src);
+    if (!item || !item.toLonLat) {
+      console.log('Could not export annotation ' + annotation['id'] + ' - not on a map');
+      return;
+    }
+
+    var properties = { 'text': annotation.text };
+    var metadata = annotorious.formats.getMetadata(annotation);
+    if (metadata)
+      goog.object.extend(properties, metadata);
+
+    var shape = annotation['shapes'][0];
+    var geometry;
+    if (annotorious.shape.isLine(shape)) {
+      geometry = { 'type': 'LineString', 'coordinates': annotorious.formats.geojson._toLineString(shape, item) };
+    } else if (shape.type == annotorious.shape.ShapeType.MULTIPOLYGON) {
+      geometry = { 'type': 'MultiPolygon', 'coordinates': goog.array.map(shape['geometry']['polygons'], function(polygon) {
+        return annotorious.formats.geojson._toPolygonCoordinates(polygon, item);
+      })};
+    } else if (annotorious.shape.toPolygon(shape)) {
+      geometry = { 'type': 'Polygon', 'coordinates':
+        annotorious.formats.geojson._toPolygonCoordinates(annotorious.shape.toPolygon(shape)['geometry'], item) };
+    } else {
+      console.log('Could not export annotation ' + annotation['id'] + ' - unsupported shape');
+      return;
+    }
+
+    features.push({
+      'type': 'Feature',
+      'id': annotation['id'],
+      'geometry': geometry,
+      'properties': properties
+    });
+  });
+
+  return { 'type': 'FeatureCollection', 'features': features };
+}
+
+/**
+ * Parses a GeoJSON FeatureCollection (or a single Feature) into annotations on a map.
+ * Only Polygon, MultiPolygon and LineString features are imported. LineStrings become
+ * polylines.
+ * @param {object | string} data the GeoJSON object, or its JSON serialization
+ * @param {function} getItem the item lookup function
+ * @param {object} options options: 'src' - the item URL of the map the features belong
+ * to (required, see OpenLayersModule.getItemURL)
+ * @returns {Array.<Annotation>} the annotations
+ */
+annotorious.formats.geojson.parse = function(data, getItem, options) {
+  if (goog.isString(data))
+    data = goog.json.parse(data);
+
+  var src = options['src'];
+  var item = (src) ? getItem(src) : undefined;
+  if (!item || !item.fromLonLat) {
+    console.log('Could not import GeoJSON - no map specified');
+    return [];
+  }
+
+  var features = (data['type'] == 'FeatureCollection') ? data['features'] : [ data ];
+
+  var annotations = [];
+  goog.array.forEach(features, function(feature) {
+    var geometry = feature['geometry'];
+    var type = (geometry) ? geometry['type'] : null;
+    if (type != 'Polygon' && type != 'MultiPolygon' && type != 'LineString') {
+      console.log('Skipping unsupported GeoJSON geometry: ' + type);
+      return;
+    }
+
+    var coordinates = geometry['coordinates'];
+    var valid = (type == 'LineString') ? annotorious.formats.geojson._isValidPositions(coordinates, 2) :
+      (type == 'Polygon') ? annotorious.formats.geojson._isValidPolygon(coordinates) :
+      goog.isArray(coordinates) && coordinates.length > 0 && goog.array.every(coordinates, annotorious.formats.geojson._isValidPolygon);
+    if (!valid) {
+      console.log('Could not import GeoJSON feature ' + feature['id'] + ' - invalid coordinates');
+      return;
+    }
+
+    var properties = (feature['properties']) ? goog.object.clone(feature['properties']) : {};
+    var text = properties['text'];
+    goog.array.forEach(['id', 'src', 'text', 'shapes'], function(key) {
+      delete properties[key];
+    });
+
+    var shape;
+    if (type == 'LineString') {
+      shape = new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYLINE,
+        new annotorious.shape.geom.Polyline(goog.array.map(geometry['coordinates'], function(position) {
+          return item.fromLonLat({ x: position[0], y: position[1] });
+        })));
+    } else if (type == 'MultiPolygon') {
+      shape = new annotorious.shape.Shape(annotorious.shape.ShapeType.MULTIPOLYGON,
+        new annotorious.shape.geom.MultiPolygon(goog.array.map(geometry['coordinates'], function(coordinates) {
+          return annotorious.formats.geojson._fromPolygonCoordinates(coordinates, item);
+        })));
+    } else if (geometry['coordinates'].length > 1) {
+      shape = new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON,
+        annotorious.formats.geojson._fromPolygonCoordinates(geometry['coordinates'], item));
+    } else {
+      shape = annotorious.formats.geojson._fromRing(geometry['coordinates'][0], item);
+    }
+
+    var annotation = new annotorious.annotation.Annotation(src, (text) ? text : '', shape);
+    goog.object.extend(annotation, properties);
+
+    if (goog.isDefAndNotNull(feature['id']))
+      annotation['id'] = String(feature['id']);
+
+    annotations.push(annotation);
+  });
+  return annotations;
+}
+
+annotorious.formats.register('geojson', {
+  serialize: annotorious.formats.geojson.serialize,
+  parse: annotorious.formats.geojson.parse
+});
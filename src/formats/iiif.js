@@ -0,0 +1,241 @@
+goog.provide('annotorious.formats.iiif');
+
+goog.require('goog.array');
+goog.require('goog.json');
+goog.require('annotorious.formats');
+goog.require('annotorious.formats.w3c');
+
+/**
+ * Import/export of IIIF Presentation API annotation lists: Presentation 2 'sc:AnnotationList's
+ * of 'oa:Annotation's, and Presentation 3 'AnnotationPage's. Annotations target IIIF canvases.
+ * An image is mapped onto the canvas identified by its 'data-iiif-canvas' attribute (or, if
+ * there is none, onto its item URL), with canvas coordinates scaled to the image.
+ */
+
+/**
+ * The JSON-LD context of IIIF Presentation 2.
+ * @type {string}
+ */
+annotorious.formats.iiif.CONTEXT_V2 = 'http://iiif.io/api/presentation/2/context.json';
+
+/**
+ * The JSON-LD context of IIIF Presentation 3.
+ * @type {string}
+ */
+annotorious.formats.iiif.CONTEXT_V3 = 'http://iiif.io/api/presentation/3/context.json';
+
+/**
+ * Returns the URI and size of the canvas an item shows, as an item with the canvas
+ * size in place of the natural size (so that the generic unit conversions apply).
+ * @param {object | undefined} item the item
+ * @returns {object | undefined} the canvas, or undefined if the item is unknown
+ * @private
+ */
+annotorious.formats.iiif._getCanvas = function(item) {
+  if (!item)
+    return undefined;
+
+  return {
+    id: (item.canvas) ? item.canvas : item.src,
+    width: item.width,
+    height: item.height,
+    naturalWidth: item.canvasWidth,
+    naturalHeight: item.canvasHeight
+  };
+}
+
+/**
+ * Converts an annotation to a IIIF annotation.
+ * @param {Annotation} annotation the annotation
+ * @param {object | undefined} item the annotated item
+ * @param {number} version the IIIF Presentation API version (2 or 3)
+ * @param {string | undefined} opt_base_uri the base URI for annotation IDs (optional)
+ * @returns {object | undefined} the IIIF annotation, or undefined if it cannot be converted
+ * @private
+ */
+annotorious.formats.iiif._toIIIF = function(annotation, item, version, opt_base_uri) {
+  var canvas = annotorious.formats.iiif._getCanvas(item);
+  var shape = annotation['shapes'][0];
+  var pixels = (canvas) ? annotorious.formats.toNaturalPixels(shape, canvas) : undefined;
+  if (!pixels || (shape.type != annotorious.shape.ShapeType.RECTANGLE && shape.type != annotorious.shape.ShapeType.POLYGON &&
+      shape.type != annotorious.shape.ShapeType.MULTIPOLYGON &&
+      shape.type != annotorious.shape.ShapeType.ELLIPSE && shape.type != annotorious.shape.ShapeType.ROTATED_RECTANGLE)) {
+    console.log('Could not export annotation ' + annotation['id'] + ' - unsupported shape, or canvas size not known');
+    return undefined;
+  }
+
+  // Canvas coordinates are integers
+  var target;
+  if (shape.type == annotorious.shape.ShapeType.RECTANGLE) {
+    var rect = pixels['geometry'];
+    var xywh = goog.array.map([rect.x, rect.y, rect.width, rect.height], Math.round);
+    target = canvas.id + '#xywh=' + xywh.join(',');
+  } else {
+    var svg = annotorious.formats.w3c.toSvg(shape, canvas);
+    if (version == 2)
+      target = { '@type': 'oa:SpecificResource', 'full': canvas.id, 'selector': { '@type': 'oa:SvgSelector', 'value': svg } };
+    else
+      target = { 'type': 'SpecificResource', 'source': canvas.id, 'selector': { 'type': 'SvgSelector', 'value': svg } };
+  }
+
+  var id = annotation['id'];
+  if (opt_base_uri)
+    id = opt_base_uri + id;
+  else if (id.indexOf(':') < 0)
+    id = '#' + id;
+
+  if (version == 2) {
+    return {
+      '@id': id,
+      '@type': 'oa:Annotation',
+      'motivation': 'oa:commenting',
+      'resource': { '@type': 'dctypes:Text', 'format': 'text/html', 'chars': annotation.text },
+      'on': target
+    };
+  } else {
+    return {
+      'id': id,
+      'type': 'Annotation',
+      'motivation': 'commenting',
+      'body': { 'type': 'TextualBody', 'format': 'text/html', 'value': annotation.text },
+      'target': target
+    };
+  }
+}
+
+/**
+ * Converts a IIIF annotation (Presentation 2 or 3) to an annotation.
+ * @param {object} iiif the IIIF annotation
+ * @param {function} getItem the item lookup function
+ * @param {object} options the import options
+ * @returns {Annotation | undefined} the annotation, or undefined if it cannot be converted
+ * @private
+ */
+annotorious.formats.iiif._fromIIIF = function(iiif, getItem, options) {
+  var target = (goog.isDef(iiif['on'])) ? iiif['on'] : iiif['target'];
+  if (goog.isArray(target))
+    target = target[0];
+
+  var canvasId, selector;
+  if (goog.isString(target)) {
+    var hash = target.indexOf('#');
+    canvasId = (hash < 0) ? target : target.substring(0, hash);
+    if (hash > -1)
+      selector = { type: 'FragmentSelector', value: target.substring(hash + 1) };
+  } else if (target) {
+    canvasId = (target['full']) ? target['full'] : target['source'];
+    if (goog.isObject(canvasId))
+      canvasId = canvasId['@id'] || canvasId['id'];
+
+    var s = target['selector'];
+    if (s && (s['@type'] == 'oa:Choice'))
+      s = (s['item'] && s['item']['@type'] == 'oa:SvgSelector') ? s['item'] : s['default'];
+
+    if (s)
+      selector = { type: (s['@type'] || s['type'] || '').replace(/^oa:/, ''), value: s['value'] || s['chars'] };
+  }
+
+  var item = getItem(canvasId);
+  if (!item && options['src'])
+    item = getItem(options['src']);
+
+  var canvas = annotorious.formats.iiif._getCanvas(item);
+  var shape;
+  if (canvas && selector) {
+    if (selector.type == 'FragmentSelector')
+      shape = annotorious.formats.w3c.parseFragment(selector.value, canvas);
+    else if (selector.type == 'SvgSelector')
+      shape = annotorious.formats.w3c.parseSvg(selector.value, canvas);
+  }
+
+  if (!shape) {
+    console.log('Could not import annotation ' + (iiif['@id'] || iiif['id']) + ' - unknown canvas, or unsupported target');
+    return undefined;
+  }
+
+  var body = (goog.isDef(iiif['resource'])) ? iiif['resource'] : iiif['body'];
+  if (goog.isArray(body))
+    body = goog.array.find(body, function(b) {
+      return goog.isDef(b['chars']) || goog.isDef(b['value']);
+    });
+
+  var text = '';
+  if (body)
+    text = (goog.isDef(body['chars'])) ? body['chars'] : body['value'];
+
+  var id = iiif['@id'] || iiif['id'];
+  if (id && options['baseUri'] && id.indexOf(options['baseUri']) == 0)
+    id = id.substring(options['baseUri'].length);
+  else if (id && id.charAt(0) == '#')
+    id = id.substring(1);
+
+  return new annotorious.annotation.Annotation(item.src, text, shape, id);
+}
+
+/**
+ * Serializes annotations to a IIIF annotation list.
+ * @param {Array.<Annotation>} annotations the annotations
+ * @param {function} getItem the item lookup function
+ * @param {object} options options: 'version' - the IIIF Presentation API version (2 or 3,
+ * default is 3), 'id' - the URI of the list, 'baseUri' - prefix for annotation IDs
+ * @returns {object} the annotation list (Presentation 2) or annotation page (Presentation 3)
+ */
+annotorious.formats.iiif.serialize = function(annotations, getItem, options) {
+  var version = (options['version'] == 2) ? 2 : 3;
+
+  var items = [];
+  goog.array.forEach(annotations, function(annotation) {
+    var iiif = annotorious.formats.iiif._toIIIF(annotation, getItem(annotation.src), version, options['baseUri']);
+    if (iiif)
+      items.push(iiif);
+  });
+
+  var list;
+  if (version == 2) {
+    list = { '@context': annotorious.formats.iiif.CONTEXT_V2, '@type': 'sc:AnnotationList', 'resources': items };
+    if (options['id'])
+      list['@id'] = options['id'];
+  } else {
+    list = { '@context': annotorious.formats.iiif.CONTEXT_V3, 'type': 'AnnotationPage', 'items': items };
+    if (options['id'])
+      list['id'] = options['id'];
+  }
+  return list;
+}
+
+/**
+ * Parses a IIIF annotation list (Presentation 2) or annotation page (Presentation 3), as
+ * object or JSON string. Arrays of annotations and single annotations are accepted, too.
+ * @param {object | string} data the annotation list
+ * @param {function} getItem the item lookup function
+ * @param {object} options options: 'src' - the item to use for annotations on unknown canvases,
+ * 'baseUri' - prefix to strip from annotation IDs
+ * @returns {Array.<Annotation>} the annotations
+ */
+annotorious.formats.iiif.parse = function(data, getItem, options) {
+  if (goog.isString(data))
+    data = goog.json.parse(data);
+
+  var iiifAnnotations;
+  if (goog.isArray(data))
+    iiifAnnotations = data;
+  else if (data['resources'])
+    iiifAnnotations = data['resources'];
+  else if (data['items'])
+    iiifAnnotations = data['items'];
+  else
+    iiifAnnotations = [ data ];
+
+  var annotations = [];
+  goog.array.forEach(iiifAnnotations, function(iiif) {
+    var annotation = annotorious.formats.iiif._fromIIIF(iiif, getItem, options);
+    if (annotation)
+      annotations.push(annotation);
+  });
+  return annotations;
+}
+
+annotorious.formats.register('iiif', {
+  serialize: annotorious.formats.iiif.serialize,
+  parse: annotorious.formats.iiif.parse
+});
@@ -0,0 +1,201 @@
+goog.provide('annotorious.formats.imagemap');
+
+goog.require('goog.array');
+goog.require('goog.dom');
+goog.require('goog.string');
+goog.require('annotorious.formats');
+
+/**
+ * Import/export of HTML image maps (<map> elements with rect, circle and poly <area> hotspots).
+ * Area coordinates are pixel coordinates on the image as displayed in the page. On import,
+ * the area title (or alt text) becomes the annotation text, and the href is kept in the
+ * annotation's 'href' property. Circles map to ellipses with equal radii; other ellipses
+ * and rotated rectangles are exported as polygons.
+ */
+
+/**
+ * Returns the <map> element an image refers to in its 'usemap' attribute.
+ * @param {element} image the image
+ * @returns {element | undefined} the map element, or undefined if there is none
+ * @private
+ */
+annotorious.formats.imagemap._getMapForImage = function(image) {
+  var usemap = image.getAttribute('usemap');
+  if (usemap) {
+    var name = usemap.replace(/^#/, '');
+    return goog.array.find(goog.dom.getElementsByTagNameAndClass('map'), function(map) {
+      return map.name == name || map.id == name;
+    });
+  }
+}
+
+/**
+ * Returns the image that uses a <map> element.
+ * @param {element} map the map element
+ * @returns {element | undefined} the image, or undefined if there is none
+ * @private
+ */
+annotorious.formats.imagemap._getImageForMap = function(map) {
+  return goog.array.find(goog.dom.getElementsByTagNameAndClass('img'), function(image) {
+    return annotorious.formats.imagemap._getMapForImage(image) == map;
+  });
+}
+
+/**
+ * Converts the shape and coords attributes of an <area> to a shape in (display) pixel coordinates.
+ * @param {string} type the area shape attribute
+ * @param {Array.<number>} coords the area coordinates
+ * @returns {annotorious.shape.Shape | undefined} the shape, or undefined if the area shape is not supported
+ * @private
+ */
+annotorious.formats.imagemap._toShape = function(type, coords) {
+  if ((type == 'rect' || type == 'rectangle') && coords.length >= 4) {
+    var x = Math.min(coords[0], coords[2]);
+    var y = Math.min(coords[1], coords[3]);
+    return new annotorious.shape.Shape(annotorious.shape.ShapeType.RECTANGLE,
+      new annotorious.shape.geom.Rectangle(x, y, Math.abs(coords[2] - coords[0]), Math.abs(coords[3] - coords[1])),
+      annotorious.shape.Units.PIXEL);
+  } else if ((type == 'poly' || type == 'polygon') && coords.length >= 6) {
+    var points = [];
+    for (var i = 0; i < coords.length - 1; i += 2)
+      points.push({ x: coords[i], y: coords[i + 1] });
+    return new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON,
+      new annotorious.shape.geom.Polygon(points), annotorious.shape.Units.PIXEL);
+  } else if ((type == 'circle' || type == 'circ') && coords.length >= 3) {
+    return new annotorious.shape.Shape(annotorious.shape.ShapeType.ELLIPSE,
+      new annotorious.shape.geom.Ellipse(coords[0], coords[1], coords[2], coords[2]), annotorious.shape.Units.PIXEL);
+  }
+}
+
+/**
+ * Returns the <area> shape and coords attributes for a shape.
+ * @param {annotorious.shape.Shape} shape the shape, in display pixel coordinates
+ * @returns {object | undefined} the attributes, or undefined if the shape type is not supported
+ * @private
+ */
+annotorious.formats.imagemap._toArea = function(shape) {
+  var geom = shape['geometry'];
+  if (shape.type == annotorious.shape.ShapeType.RECTANGLE) {
+    return { shape: 'rect', coords: [ geom.x, geom.y, geom.x + geom.width, geom.y + geom.height ] };
+  } else if (shape.type == annotorious.shape.ShapeType.ELLIPSE && Math.abs(geom['rx'] - geom['ry']) < 0.5) {
+    return { shape: 'circle', coords: [ geom['cx'], geom['cy'], (geom['rx'] + geom['ry']) / 2 ] };
+  } else if (annotorious.shape.toPolygon(shape)) {
+    var coords = [];
+    goog.array.forEach(annotorious.shape.toPolygon(shape)['geometry'].points, function(pt) {
+      coords.push(pt.x, pt.y);
+    });
+    return { shape: 'poly', coords: coords };
+  }
+}
+
+/**
+ * Serializes the annotations on one item to a <map> element.
+ * @param {Array.<Annotation>} annotations the annotations
+ * @param {function} getItem the item lookup function
+ * @param {object} options options: 'src' - the item to export (default is the item of the first
+ * annotation), 'name' - the map name (default is the image file name, without extension)
+ * @returns {string | undefined} the <map> markup, or undefined if the item size is not known
+ */
+annotorious.formats.imagemap.serialize = function(annotations, getItem, options) {
+  var src = (options['src']) ? options['src'] : (annotations.length > 0) ? annotations[0].src : undefined;
+  var item = (src) ? getItem(src) : undefined;
+  if (!item || !(item.width > 0 && item.height > 0)) {
+    console.log('Could not export image map - image size not known');
+    return undefined;
+  }
+
+  var name = (options['name']) ? options['name'] : src.replace(/[?#].*$/, '').replace(/^.*\//, '').replace(/\.[^.]*$/, '');
+  var html = [ '<map name="' + goog.string.htmlEscape(name) + '">' ];
+  goog.array.forEach(annotations, function(annotation) {
+    if (annotation.src != src)
+      return;
+
+    var shape = annotation['shapes'][0];
+    if (shape.units != annotorious.shape.Units.PIXEL) {
+      shape = annotorious.shape.transform(shape, function(xy) {
+        return { x: xy.x * item.width, y: xy.y * item.height };
+      });
+    }
+
+    var area = annotorious.formats.imagemap._toArea(shape);
+    if (!area) {
+      console.log('Could not export annotation ' + annotation['id'] + ' - unsupported shape');
+      return;
+    }
+
+    var coords = goog.array.map(area.coords, function(value) { return Math.round(value); });
+    var text = goog.string.htmlEscape(annotorious.formats.toPlainText(annotation.text));
+    var attrs = 'shape="' + area.shape + '" coords="' + coords.join(',') + '"';
+    if (annotation['href'])
+      attrs += ' href="' + goog.string.htmlEscape(annotation['href']) + '"';
+    html.push('  <area ' + attrs + ' alt="' + text + '" title="' + text + '">');
+  });
+
+  html.push('</map>');
+  return html.join('\n');
+}
+
+/**
+ * Parses the areas of an HTML image map into annotations. Areas with unsupported shapes
+ * (default) are skipped.
+ * @param {element | string} data the <map> element, an image with a 'usemap' attribute, or <map> markup
+ * @param {function} getItem the item lookup function
+ * @param {object} options options: 'src' - the item the areas belong to (default is the image that
+ * uses the map)
+ * @returns {Array.<Annotation>} the annotations
+ */
+annotorious.formats.imagemap.parse = function(data, getItem, options) {
+  var map, image;
+  if (goog.isString(data)) {
+    // Parsed into an inert document, so that the markup can't load resources or run handlers
+    var doc = new DOMParser().parseFromString(data, 'text/html');
+    map = doc.getElementsByTagName('map')[0];
+  } else if (data.tagName == 'IMG') {
+    image = data;
+    map = annotorious.formats.imagemap._getMapForImage(image);
+  } else {
+    map = data;
+    image = annotorious.formats.imagemap._getImageForMap(map);
+  }
+
+  var src = (options['src']) ? options['src'] : (image) ? annotorious.modules.image.ImageModule.getItemURL(image) : undefined;
+  if (!map || !src) {
+    console.log('Could not import image map - no map or no image found');
+    return [];
+  }
+
+  var item = getItem(src);
+  var annotations = [];
+  goog.array.forEach(goog.dom.getElementsByTagNameAndClass('area', null, map), function(area) {
+    var type = (area.getAttribute('shape')) ? area.getAttribute('shape').toLowerCase() : 'rect';
+    var coords = goog.array.map(goog.string.trim(area.getAttribute('coords') || '').split(/[\s,]+/), function(value) {
+      return parseFloat(value);
+    });
+
+    if (goog.array.some(coords, isNaN)) {
+      console.log('Skipping image map area with invalid coordinates: ' + area.getAttribute('coords'));
+      return;
+    }
+
+    var shape = annotorious.formats.imagemap._toShape(type, coords);
+    if (!shape) {
+      console.log('Skipping unsupported image map area: ' + type);
+      return;
+    }
+
+    // Fractional units, so that annotations stay in place if the image is resized
+    var fraction = annotorious.formats.toFraction(shape, item);
+    // Title and alt are plain text, while annotation text is HTML
+    var text = goog.string.htmlEscape(area.getAttribute('title') || area.getAttribute('alt') || '');
+    var annotation = new annotorious.annotation.Annotation(src, text, (fraction) ? fraction : shape);
+    if (area.getAttribute('href'))
+      annotation['href'] = area.getAttribute('href');
+    annotations.push(annotation);
+  });
+  return annotations;
+}
+
+annotorious.formats.register('imagemap', {
+  serialize: annotorious.formats.imagemap.serialize,
+  parse: annotorious.formats.imagemap.parse
+});
@@ -0,0 +1,125 @@
+goog.provide('annotorious.formats.svg');
+
+goog.require('goog.array');
+goog.require('goog.object');
+goog.require('goog.string');
+goog.require('annotorious.formats');
+
+/**
+ * Export of an item's annotations as a standalone SVG document, sized to the natural
+ * size of the image, so that the overlay can be edited in vector graphics tools.
+ * Each annotation is a <g> group with the annotation text as <title>. Polylines and arrows
+ * are exported as <polyline> elements (arrows without their arrowhead).
+ */
+
+/**
+ * The SVG namespace.
+ * @type {string}
+ */
+annotorious.formats.svg.NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * Default shape styles (same as in the viewer).
+ * @type {object}
+ */
+annotorious.formats.svg.DEFAULT_STYLE = { 'outline': '#000000', 'stroke': '#ffffff' };
+
+/**
+ * Creates the SVG element for a shape in natural pixel coordinates.
+ * @param {annotorious.shape.Shape} shape the shape
+ * @param {string} attrs additional attributes
+ * @returns {string | undefined} the element, or undefined if the shape type is not supported
+ * @private
+ */
+annotorious.formats.svg._toElement = function(shape, attrs) {
+  var geom = shape['geometry'];
+  if (shape.type == annotorious.shape.ShapeType.RECTANGLE) {
+    return '<rect x="' + geom.x + '" y="' + geom.y + '" width="' + geom.width + '" height="' + geom.height + '" ' + attrs + '/>';
+  } else if (shape.type == annotorious.shape.ShapeType.POLYGON && !geom['holes']) {
+    var points = goog.array.map(geom.points, function(pt) { return pt.x + ',' + pt.y; });
+    return '<polygon points="' + points.join(' ') + '" ' + attrs + '/>';
+  } else if (shape.type == annotorious.shape.ShapeType.POLYGON || shape.type == annotorious.shape.ShapeType.MULTIPOLYGON) {
+    return '<path d="' + annotorious.formats.toPathData(shape) + '" fill-rule="evenodd" ' + attrs + '/>';
+  } else if (shape.type == annotorious.shape.ShapeType.ROTATED_RECTANGLE) {
+    return '<rect x="' + (geom['cx'] - geom['width'] / 2) + '" y="' + (geom['cy'] - geom['height'] / 2) + '" width="' + geom['width'] +
+      '" height="' + geom['height'] + '" transform="rotate(' + geom['angle'] + ' ' + geom['cx'] + ' ' + geom['cy'] + ')" ' + attrs + '/>';
+  } else if (annotorious.shape.isLine(shape)) {
+    var points = goog.array.map(geom.points, function(pt) { return pt.x + ',' + pt.y; });
+    return '<polyline points="' + points.join(' ') + '" ' + attrs + '/>';
+  } else if (shape.type == annotorious.shape.ShapeType.ELLIPSE) {
+    return '<ellipse cx="' + geom['cx'] + '" cy="' + geom['cy'] + '" rx="' + geom['rx'] + '" ry="' + geom['ry'] + '" ' + attrs + '/>';
+  }
+}
+
+/**
+ * Serializes the annotations on one item to an SVG document.
+ * @param {Array.<Annotation>} annotations the annotations
+ * @param {function} getItem the item lookup function
+ * @param {object} options options: 'src' - the item to export (default is the item of the first
+ * annotation), 'image' - if true, the image is included as <image>, 'labels' - if true, the
+ * annotation texts are rendered as <text> labels, 'style' - 'outline' and 'stroke' colors
+ * @returns {string | undefined} the SVG document, or undefined if the item size is not known
+ */
+annotorious.formats.svg.serialize = function(annotations, getItem, options) {
+  var src = (options['src']) ? options['src'] : (annotations.length > 0) ? annotations[0].src : undefined;
+  var item = (src) ? getItem(src) : undefined;
+  if (!annotorious.formats.hasNaturalSize(item)) {
+    console.log('Could not export SVG - image size not known');
+    return undefined;
+  }
+
+  var style = goog.object.clone(annotorious.formats.svg.DEFAULT_STYLE);
+  if (options['style'])
+    goog.object.extend(style, options['style']);
+
+  // Colors are user-supplied, and end up in attribute values
+  style = goog.object.map(style, function(color) {
+    return goog.string.htmlEscape(String(color));
+  });
+
+  var width = item.naturalWidth;
+  var height = item.naturalHeight;
+  var svg = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<svg xmlns="' + annotorious.formats.svg.NAMESPACE + '" xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+      'width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">'
+  ];
+
+  if (options['image']) {
+    var href = goog.string.htmlEscape((item.element) ? item.element.src : item.src);
+    svg.push('  <image x="0" y="0" width="' + width + '" height="' + height + '" href="' + href + '" xlink:href="' + href + '"/>');
+  }
+
+  goog.array.forEach(annotations, function(annotation) {
+    if (annotation.src != src)
+      return;
+
+    var shape = annotorious.formats.toNaturalPixels(annotation['shapes'][0], item);
+    var outline = annotorious.formats.svg._toElement(shape,
+      'fill="none" stroke="' + style['outline'] + '" stroke-width="2.5"');
+
+    if (!outline) {
+      console.log('Could not export annotation ' + annotation['id'] + ' - unsupported shape');
+      return;
+    }
+
+    var text = goog.string.htmlEscape(annotorious.formats.toPlainText(annotation.text));
+    svg.push('  <g class="annotation" id="' + goog.string.htmlEscape(annotation['id']) + '">');
+    svg.push('    <title>' + text + '</title>');
+    svg.push('    ' + outline);
+    svg.push('    ' + annotorious.formats.svg._toElement(shape, 'fill="none" stroke="' + style['stroke'] + '" stroke-width="1"'));
+    if (options['labels'] && text) {
+      var bounds = annotorious.shape.getBoundingRect(shape);
+      svg.push('    <text x="' + bounds.x + '" y="' + (bounds.y - 4) + '" font-family="Verdana, Arial" font-size="12" ' +
+        'fill="' + style['stroke'] + '" stroke="' + style['outline'] + '" stroke-width="0.5">' + text + '</text>');
+    }
+    svg.push('  </g>');
+  });
+
+  svg.push('</svg>');
+  return svg.join('\n');
+}
+
+annotorious.formats.register('svg', {
+  serialize: annotorious.formats.svg.serialize
+});
@@ -0,0 +1,145 @@
+goog.provide('annotorious.formats.voc');
+
+goog.require('goog.array');
+goog.require('goog.dom.xml');
+goog.require('goog.string');
+goog.require('annotorious.formats');
+
+/**
+ * Import/export of Pascal VOC annotation files (XML, one file per image). VOC only knows
+ * bounding boxes: polygons are exported as their bounding rectangle. Coordinates are
+ * 1-based natural pixels, as in the original VOC dataset.
+ */
+
+/**
+ * Returns the text content of the first descendant element with the specified name.
+ * @param {element} parent the parent element
+ * @param {string} name the element name
+ * @returns {string | undefined} the text content
+ * @private
+ */
+annotorious.formats.voc._getText = function(parent, name) {
+  var el = parent.getElementsByTagName(name)[0];
+  if (el)
+    return goog.string.trim(el.textContent);
+}
+
+/**
+ * Serializes the annotations on one item to a Pascal VOC annotation file.
+ * @param {Array.<Annotation>} annotations the annotations
+ * @param {function} getItem the item lookup function
+ * @param {object} options options: 'src' - the item to export (default is the item of the
+ * first annotation), 'labelField' - the annotation property that holds the label,
+ * 'baseUrl' - base URL that the image path is relative to
+ * @returns {string | undefined} the VOC XML, or undefined if the image size is not known
+ */
+annotorious.formats.voc.serialize = function(annotations, getItem, options) {
+  var src = (options['src']) ? options['src'] : (annotations.length > 0) ? annotations[0].src : undefined;
+  var item = (src) ? getItem(src) : undefined;
+  if (!annotorious.formats.hasNaturalSize(item)) {
+    console.log('Could not export Pascal VOC - image size not known');
+    return undefined;
+  }
+
+  var esc = goog.string.htmlEscape;
+  var path = annotorious.formats.toFileName(src, options);
+  var xml = [
+    '<annotation>',
+    '  <filename>' + esc(path.substring(path.lastIndexOf('/') + 1)) + '</filename>',
+    '  <path>' + esc(path) + '</path>',
+    '  <source>',
+    '    <database>Annotorious</database>',
+    '  </source>',
+    '  <size>',
+    '    <width>' + item.naturalWidth + '</width>',
+    '    <height>' + item.naturalHeight + '</height>',
+    '    <depth>3</depth>',
+    '  </size>',
+    '  <segmented>0</segmented>'
+  ];
+
+  goog.array.forEach(annotations, function(annotation) {
+    if (annotation.src != src)
+      return;
+
+    var bounds = annotorious.shape.getBoundingRect(annotorious.formats.toNaturalPixels(annotation['shapes'][0], item));
+    xml.push(
+      '  <object>',
+      '    <name>' + esc(annotorious.formats.getLabel(annotation, options)) + '</name>',
+      '    <pose>Unspecified</pose>',
+      '    <truncated>0</truncated>',
+      '    <difficult>0</difficult>',
+      '    <bndbox>',
+      '      <xmin>' + (Math.round(bounds.x) + 1) + '</xmin>',
+      '      <ymin>' + (Math.round(bounds.y) + 1) + '</ymin>',
+      '      <xmax>' + Math.round(bounds.x + bounds.width) + '</xmax>',
+      '      <ymax>' + Math.round(bounds.y + bounds.height) + '</ymax>',
+      '    </bndbox>',
+      '  </object>');
+  });
+
+  xml.push('</annotation>');
+  return xml.join('\n');
+}
+
+/**
+ * Parses a Pascal VOC annotation file.
+ * @param {string | Document} data the VOC XML
+ * @param {function} getItem the item lookup function
+ * @param {object} options options: 'src' - the item to import to (default is the item
+ * identified by the file's path or filename), 'labelField' - the annotation property to store
+ * the label in, 'baseUrl' - base URL that the image path is relative to
+ * @returns {Array.<Annotation>} the annotations
+ */
+annotorious.formats.voc.parse = function(data, getItem, options) {
+  var doc = (goog.isString(data)) ? goog.dom.xml.loadXml(data) : data;
+  var root = doc.documentElement;
+
+  var src = options['src'];
+  if (!src) {
+    var path = annotorious.formats.voc._getText(root, 'path') || annotorious.formats.voc._getText(root, 'filename');
+    src = (path) ? annotorious.formats.fromFileName(path, options) : undefined;
+  }
+
+  var size = root.getElementsByTagName('size')[0];
+  var item = (size) ? {
+    naturalWidth: parseInt(annotorious.formats.voc._getText(size, 'width'), 10),
+    naturalHeight: parseInt(annotorious.formats.voc._getText(size, 'height'), 10)
+  } : getItem(src);
+
+  if (!src || !annotorious.formats.hasNaturalSize(item)) {
+    console.log('Could not import Pascal VOC - image or image size not known');
+    return [];
+  }
+
+  var annotations = [];
+  goog.array.forEach(root.getElementsByTagName('object'), function(object) {
+    var bndbox = object.getElementsByTagName('bndbox')[0];
+    if (!bndbox)
+      return;
+
+    var xmin = parseFloat(annotorious.formats.voc._getText(bndbox, 'xmin'));
+    var ymin = parseFloat(annotorious.formats.voc._getText(bndbox, 'ymin'));
+    var xmax = parseFloat(annotorious.formats.voc._getText(bndbox, 'xmax'));
+    var ymax = parseFloat(annotorious.formats.voc._getText(bndbox, 'ymax'));
+    if (isNaN(xmin) || isNaN(ymin) || isNaN(xmax) || isNaN(ymax)) {
+      console.log('Could not import object ' + annotorious.formats.voc._getText(object, 'name') + ' - invalid bounding box');
+      return;
+    }
+
+    var shape = annotorious.formats.fromNaturalPixels(new annotorious.shape.Shape(annotorious.shape.ShapeType.RECTANGLE,
+      new annotorious.shape.geom.Rectangle(xmin - 1, ymin - 1, xmax - xmin + 1, ymax - ymin + 1)), item);
+
+    var label = annotorious.formats.voc._getText(object, 'name');
+    var annotation = new annotorious.annotation.Annotation(src, label, shape);
+    if (label)
+      annotorious.formats.setLabel(annotation, label, options);
+    annotations.push(annotation);
+  });
+  return annotations;
+}
+
+annotorious.formats.register('voc', {
+  serialize: annotorious.formats.voc.serialize,
+  parse: annotorious.formats.voc.parse
+});
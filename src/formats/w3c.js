@@ -0,0 +1,310 @@
+goog.provide('annotorious.formats.w3c');
+
+goog.require('goog.array');
+goog.require('goog.json');
+goog.require('goog.object');
+goog.require('goog.string');
+goog.require('annotorious.formats');
+
+/**
+ * Import/export of the W3C Web Annotation Data Model (JSON-LD). Rectangles are mapped
+ * to media fragment selectors (xywh=), polygons, ellipses and rotated rectangles (as
+ * polygons) to SVG selectors (polygons with holes and multi-polygons as <path>), both
+ * in natural pixel coordinates of the image. Properties
+ * of the annotation that have no W3C counterpart are kept in an 'annotorious' property,
+ * so that they survive a round trip.
+ */
+
+/**
+ * The JSON-LD context of the W3C Web Annotation Data Model.
+ * @type {string}
+ */
+annotorious.formats.w3c.CONTEXT = 'http://www.w3.org/ns/anno.jsonld';
+
+/**
+ * The name of the property that holds annotation metadata.
+ * @type {string}
+ */
+annotorious.formats.w3c.METADATA_KEY = 'annotorious';
+
+/**
+ * Converts a rectangle shape to a media fragment (e.g. 'xywh=pixel:10,20,100,50'). If the
+ * size of the item is not known, the fragment uses percent units instead.
+ * @param {annotorious.shape.Shape} shape the shape
+ * @param {object | undefined} item the item
+ * @returns {string | undefined} the fragment, or undefined if the shape cannot be converted
+ */
+annotorious.formats.w3c.toFragment = function(shape, item) {
+  if (shape.type != annotorious.shape.ShapeType.RECTANGLE)
+    return undefined;
+
+  var pixels = annotorious.formats.toNaturalPixels(shape, item);
+  if (pixels) {
+    var rect = pixels['geometry'];
+    return 'xywh=pixel:' + [rect.x, rect.y, rect.width, rect.height].join(',');
+  } else if (shape.units != annotorious.shape.Units.PIXEL) {
+    var geom = shape['geometry'];
+    return 'xywh=percent:' + [geom.x * 100, geom.y * 100, geom.width * 100, geom.height * 100].join(',');
+  }
+}
+
+/**
+ * Parses a media fragment (e.g. 'xywh=pixel:10,20,100,50') to a rectangle shape.
+ * @param {string} fragment the fragment
+ * @param {object | undefined} item the item
+ * @returns {annotorious.shape.Shape | undefined} the shape, or undefined if the fragment cannot be parsed
+ */
+annotorious.formats.w3c.parseFragment = function(fragment, item) {
+  var match = /xywh=(?:(pixel|percent):)?(-?[\d.]+),(-?[\d.]+),(-?[\d.]+),(-?[\d.]+)/.exec(fragment);
+  if (!match)
+    return undefined;
+
+  var x = parseFloat(match[2]);
+  var y = parseFloat(match[3]);
+  var w = parseFloat(match[4]);
+  var h = parseFloat(match[5]);
+
+  if (match[1] == 'percent')
+    return new annotorious.shape.Shape(annotorious.shape.ShapeType.RECTANGLE,
+      new annotorious.shape.geom.Rectangle(x / 100, y / 100, w / 100, h / 100));
+
+  return annotorious.formats.fromNaturalPixels(new annotorious.shape.Shape(annotorious.shape.ShapeType.RECTANGLE,
+    new annotorious.shape.geom.Rectangle(x, y, w, h)), item);
+}
+
+/**
+ * Converts a polygon, multi-polygon, ellipse or rotated rectangle shape to an SVG document fragment.
+ * @param {annotorious.shape.Shape} shape the shape
+ * @param {object | undefined} item the item
+ * @returns {string | undefined} the SVG, or undefined if the shape cannot be converted
+ */
+annotorious.formats.w3c.toSvg = function(shape, item) {
+  if (shape.type != annotorious.shape.ShapeType.POLYGON && shape.type != annotorious.shape.ShapeType.MULTIPOLYGON &&
+      shape.type != annotorious.shape.ShapeType.ELLIPSE && shape.type != annotorious.shape.ShapeType.ROTATED_RECTANGLE)
+    return undefined;
+
+  var pixels = annotorious.formats.toNaturalPixels(shape, item);
+  if (!pixels)
+    return undefined;
+
+  if (shape.type == annotorious.shape.ShapeType.ELLIPSE) {
+    var ellipse = pixels['geometry'];
+    return '<svg xmlns="http://www.w3.org/2000/svg"><ellipse cx="' + ellipse['cx'] + '" cy="' + ellipse['cy'] +
+      '" rx="' + ellipse['rx'] + '" ry="' + ellipse['ry'] + '"></ellipse></svg>';
+  }
+
+  if (shape.type == annotorious.shape.ShapeType.MULTIPOLYGON || pixels['geometry']['holes']) {
+    return '<svg xmlns="http://www.w3.org/2000/svg"><path fill-rule="evenodd" d="' +
+      annotorious.formats.toPathData(pixels) + '"></path></svg>';
+  }
+
+  var points = goog.array.map(annotorious.shape.toPolygon(pixels)['geometry'].points, function(pt) {
+    return pt.x + ',' + pt.y;
+  });
+  return '<svg xmlns="http://www.w3.org/2000/svg"><polygon points="' + points.join(' ') + '"></polygon></svg>';
+}
+
+/**
+ * Parses an SVG document fragment containing a polygon, path, ellipse or circle to a shape.
+ * Circles become ellipses with equal radii, paths polygons (with holes) or multi-polygons.
+ * @param {string} svg the SVG
+ * @param {object | undefined} item the item
+ * @returns {annotorious.shape.Shape | undefined} the shape, or undefined if the SVG cannot be parsed
+ */
+annotorious.formats.w3c.parseSvg = function(svg, item) {
+  var element = /<(ellipse|circle)\s[^>]*>/.exec(svg);
+  if (element) {
+    var attr = function(name) {
+      var match = new RegExp('\\s' + name + '\\s*=\\s*["\']([^"\']*)["\']').exec(element[0]);
+      return (match) ? parseFloat(match[1]) : 0;
+    };
+
+    var rx = (element[1] == 'circle') ? attr('r') : attr('rx');
+    var ry = (element[1] == 'circle') ? attr('r') : attr('ry');
+    return annotorious.formats.fromNaturalPixels(new annotorious.shape.Shape(annotorious.shape.ShapeType.ELLIPSE,
+      new annotorious.shape.geom.Ellipse(attr('cx'), attr('cy'), rx, ry)), item);
+  }
+
+  var path = /<path[^>]*\sd\s*=\s*["']([^"']*)["']/.exec(svg);
+  if (path) {
+    var shape = annotorious.formats.fromPathData(path[1]);
+    return (shape) ? annotorious.formats.fromNaturalPixels(shape, item) : undefined;
+  }
+
+  var match = /<polygon[^>]*\spoints\s*=\s*["']([^"']*)["']/.exec(svg);
+  if (!match)
+    return undefined;
+
+  var coords = goog.array.map(goog.string.trim(match[1]).split(/[\s,]+/), parseFloat);
+  var points = [];
+  for (var i=0; i<coords.length - 1; i+=2)
+    points.push(new annotorious.shape.geom.Point(coords[i], coords[i + 1]));
+
+  return annotorious.formats.fromNaturalPixels(new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON,
+    new annotorious.shape.geom.Polygon(points)), item);
+}
+
+/**
+ * Converts an annotation to a W3C Web Annotation.
+ * @param {Annotation} annotation the annotation
+ * @param {object | undefined} item the annotated item
+ * @returns {object | undefined} the W3C annotation, or undefined if the shape cannot be converted
+ */
+annotorious.formats.w3c.toW3C = function(annotation, item) {
+  var shape = annotation['shapes'][0];
+  var selector;
+  if (shape.type == annotorious.shape.ShapeType.RECTANGLE) {
+    var fragment = annotorious.formats.w3c.toFragment(shape, item);
+    if (fragment)
+      selector = { 'type': 'FragmentSelector', 'conformsTo': 'http://www.w3.org/TR/media-frags/', 'value': fragment };
+  } else {
+    var svg = annotorious.formats.w3c.toSvg(shape, item);
+    if (svg)
+      selector = { 'type': 'SvgSelector', 'value': svg };
+  }
+
+  if (!selector) {
+    console.log('Could not export annotation ' + annotation['id'] + ' - unsupported shape, or image size not known');
+    return undefined;
+  }
+
+  var id = annotation['id'];
+  var target = { 'source': annotation.src, 'selector': selector };
+  if (annotation['context'])
+    target['scope'] = annotation['context'];
+
+  var w3c = {
+    '@context': annotorious.formats.w3c.CONTEXT,
+    'id': (id.indexOf(':') < 0) ? '#' + id : id,
+    'type': 'Annotation',
+    'body': [],
+    'target': target
+  };
+
+  if (annotation.text)
+    w3c['body'].push({ 'type': 'TextualBody', 'value': annotation.text, 'format': 'text/html', 'purpose': 'commenting' });
+
+  var metadata = annotorious.formats.getMetadata(annotation);
+  if (metadata) {
+    delete metadata['context'];
+    if (!goog.object.isEmpty(metadata))
+      w3c[annotorious.formats.w3c.METADATA_KEY] = metadata;
+  }
+
+  return w3c;
+}
+
+/**
+ * Converts a W3C Web Annotation to an annotation.
+ * @param {object} w3c the W3C annotation
+ * @param {function} getItem the item lookup function
+ * @param {string | undefined} opt_src the source URL to use if the target doesn't specify one (optional)
+ * @returns {Annotation | undefined} the annotation, or undefined if the target cannot be converted
+ */
+annotorious.formats.w3c.fromW3C = function(w3c, getItem, opt_src) {
+  var target = goog.isArray(w3c['target']) ? w3c['target'][0] : w3c['target'];
+
+  // Targets can be plain URLs with a fragment (e.g. 'http://www.example.com/image.jpg#xywh=10,20,100,50')
+  if (goog.isString(target)) {
+    var hash = target.indexOf('#');
+    target = (hash < 0) ? { 'source': target } :
+      { 'source': target.substring(0, hash), 'selector': { 'type': 'FragmentSelector', 'value': target.substring(hash + 1) } };
+  }
+
+  var src = (target && target['source']) ? target['source'] : opt_src;
+  var item = getItem(src);
+
+  var selectors = (target) ? target['selector'] : undefined;
+  if (selectors && !goog.isArray(selectors))
+    selectors = [ selectors ];
+
+  var shape;
+  goog.array.find(selectors || [], function(selector) {
+    if (selector['type'] == 'FragmentSelector')
+      shape = annotorious.formats.w3c.parseFragment(selector['value'], item);
+    else if (selector['type'] == 'SvgSelector')
+      shape = annotorious.formats.w3c.parseSvg(selector['value'], item);
+    return shape;
+  });
+
+  if (!src || !shape) {
+    console.log('Could not import annotation ' + w3c['id'] + ' - unsupported target, or image size not known');
+    return undefined;
+  }
+
+  var bodies = w3c['body'];
+  if (bodies && !goog.isArray(bodies))
+    bodies = [ bodies ];
+
+  var textBody = goog.array.find(bodies || [], function(body) {
+    return goog.isString(body) || (goog.isDef(body['value']) && body['purpose'] != 'tagging');
+  });
+  var text = (textBody) ? (goog.isString(textBody) ? textBody : textBody['value']) : '';
+
+  var id = w3c['id'];
+  if (id && id.charAt(0) == '#')
+    id = id.substring(1);
+
+  var annotation = new annotorious.annotation.Annotation(src, text, shape, id);
+  if (target['scope'])
+    annotation['context'] = target['scope'];
+
+  var metadata = w3c[annotorious.formats.w3c.METADATA_KEY];
+  if (metadata)
+    goog.object.extend(annotation, metadata);
+
+  return annotation;
+}
+
+/**
+ * Serializes annotations to an array of W3C Web Annotations.
+ * @param {Array.<Annotation>} annotations the annotations
+ * @param {function} getItem the item lookup function
+ * @returns {Array.<object>} the W3C annotations
+ */
+annotorious.formats.w3c.serialize = function(annotations, getItem) {
+  var serialized = [];
+  goog.array.forEach(annotations, function(annotation) {
+    var w3c = annotorious.formats.w3c.toW3C(annotation, getItem(annotation.src));
+    if (w3c)
+      serialized.push(w3c);
+  });
+  return serialized;
+}
+
+/**
+ * Parses W3C Web Annotations. Accepts a single annotation, an array of annotations, an
+ * AnnotationPage or an AnnotationCollection (embedded first page), as object or JSON string.
+ * @param {object | string} data the W3C annotations
+ * @param {function} getItem the item lookup function
+ * @param {object} opt_options options (optional): 'src' - the source URL to use for targets without one
+ * @returns {Array.<Annotation>} the annotations
+ */
+annotorious.formats.w3c.parse = function(data, getItem, opt_options) {
+  var options = (opt_options) ? opt_options : {};
+  if (goog.isString(data))
+    data = goog.json.parse(data);
+
+  var w3cAnnotations;
+  if (goog.isArray(data))
+    w3cAnnotations = data;
+  else if (data['type'] == 'AnnotationCollection')
+    w3cAnnotations = (data['first'] && data['first']['items']) ? data['first']['items'] : [];
+  else if (data['type'] == 'AnnotationPage')
+    w3cAnnotations = data['items'];
+  else
+    w3cAnnotations = [ data ];
+
+  var annotations = [];
+  goog.array.forEach(w3cAnnotations, function(w3c) {
+    var annotation = annotorious.formats.w3c.fromW3C(w3c, getItem, options['src']);
+    if (annotation)
+      annotations.push(annotation);
+  });
+  return annotations;
+}
+
+annotorious.formats.register('w3c', {
+  serialize: annotorious.formats.w3c.serialize,
+  parse: annotorious.formats.w3c.parse
+});
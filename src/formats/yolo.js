@@ -0,0 +1,101 @@
+goog.provide('annotorious.formats.yolo');
+
+goog.require('goog.array');
+goog.require('goog.string');
+goog.require('annotorious.formats');
+
+/**
+ * Import/export of YOLO label files: one line per bounding box, with the class index
+ * and the normalized box center, width and height ('class cx cy w h'). Normalized
+ * coordinates are the same as Annotorious' fractional units. Polygons are exported as
+ * their bounding rectangle.
+ */
+
+/**
+ * Serializes the annotations on one item to a YOLO label file.
+ * @param {Array.<Annotation>} annotations the annotations
+ * @param {function} getItem the item lookup function
+ * @param {object} options options: 'classes' - the list of class names (labels not in the
+ * list get new class indices after the listed ones), 'onClasses' - a function that receives
+ * the complete class list, including the new classes, 'src' - the item to export (default is
+ * the item of the first annotation), 'labelField' - the annotation property that holds the label
+ * @returns {string} the label file
+ */
+annotorious.formats.yolo.serialize = function(annotations, getItem, options) {
+  var classes = (options['classes']) ? goog.array.clone(options['classes']) : [];
+  var src = (options['src']) ? options['src'] : (annotations.length > 0) ? annotations[0].src : undefined;
+
+  var lines = [];
+  goog.array.forEach(annotations, function(annotation) {
+    if (annotation.src != src)
+      return;
+
+    var shape = annotorious.formats.toFraction(annotation['shapes'][0], getItem(src));
+    if (!shape) {
+      console.log('Could not export annotation ' + annotation['id'] + ' - image size not known');
+      return;
+    }
+
+    var label = annotorious.formats.getLabel(annotation, options);
+    if (!goog.array.contains(classes, label))
+      classes.push(label);
+
+    var bounds = annotorious.shape.getBoundingRect(shape);
+    var values = [ bounds.x + bounds.width / 2, bounds.y + bounds.height / 2, bounds.width, bounds.height ];
+    lines.push(goog.array.indexOf(classes, label) + ' ' + goog.array.map(values, function(value) {
+      return parseFloat(value.toFixed(6));
+    }).join(' '));
+  });
+
+  if (options['onClasses'])
+    options['onClasses'](classes);
+  return lines.join('\n');
+}
+
+/**
+ * Parses a YOLO label file. Additional values after the box (e.g. confidence scores) are ignored.
+ * @param {string} data the label file
+ * @param {function} getItem the item lookup function
+ * @param {object} options options: 'src' - the item the labels belong to (required), 'classes' -
+ * the list of class names (without it, class indices are used as labels), 'labelField' - the
+ * annotation property to store the label in
+ * @returns {Array.<Annotation>} the annotations
+ */
+annotorious.formats.yolo.parse = function(data, getItem, options) {
+  var src = options['src'];
+  if (!src) {
+    console.log('Could not import YOLO labels - no item specified');
+    return [];
+  }
+
+  var classes = (options['classes']) ? options['classes'] : [];
+  var annotations = [];
+  goog.array.forEach(data.split(/\r?\n/), function(line) {
+    var values = goog.string.trim(line).split(/\s+/);
+    if (values.length < 5)
+      return;
+
+    var classIdx = parseInt(values[0], 10);
+    var cx = parseFloat(values[1]);
+    var cy = parseFloat(values[2]);
+    var w = parseFloat(values[3]);
+    var h = parseFloat(values[4]);
+    if (isNaN(classIdx) || isNaN(cx) || isNaN(cy) || isNaN(w) || isNaN(h)) {
+      console.log('Could not import YOLO line: ' + line);
+      return;
+    }
+
+    var label = (classes[classIdx]) ? classes[classIdx] : String(classIdx);
+    var annotation = new annotorious.annotation.Annotation(src, label,
+      new annotorious.shape.Shape(annotorious.shape.ShapeType.RECTANGLE,
+        new annotorious.shape.geom.Rectangle(cx - w / 2, cy - h / 2, w, h)));
+    annotorious.formats.setLabel(annotation, label, options);
+    annotations.push(annotation);
+  });
+  return annotations;
+}
+
+annotorious.formats.register('yolo', {
+  serialize: annotorious.formats.yolo.serialize,
+  parse: annotorious.formats.yolo.parse
+});
@@ -0,0 +1,17 @@
+goog.provide('annotorious.shape.geom.Ellipse');
+
+/**
+ * An (axis-aligned) ellipse geometry primitive. A circle is an ellipse with
+ * equal radii.
+ * @param {number} cx the center x coordinate
+ * @param {number} cy the center y coordinate
+ * @param {number} rx the horizontal radius
+ * @param {number} ry the vertical radius
+ * @constructor
+ */
+annotorious.shape.geom.Ellipse = function(cx, cy, rx, ry) {
+  this["cx"] = cx;
+  this["cy"] = cy;
+  this["rx"] = Math.abs(rx);
+  this["ry"] = Math.abs(ry);
+}
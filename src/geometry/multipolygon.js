@@ -0,0 +1,11 @@
+goog.provide('annotorious.shape.geom.MultiPolygon');
+
+/**
+ * A multi-polygon geometry primitive, i.e. a region that consists of several
+ * separate parts.
+ * @param {Array.<annotorious.shape.geom.Polygon>} polygons the polygons
+ * @constructor
+ */
+annotorious.shape.geom.MultiPolygon = function(polygons) {
+  this["polygons"] = polygons;
+}
@@ -1,12 +1,13 @@
 goog.provide('annotorious.shape.geom.Polygon');
 
 /**
- * A polygon geometry primitive.
+ * A polygon geometry primitive. Polygons may have holes (interior rings).
  * @param {Array.<annotorious.geom.Point>} points the points
+ * @param {Array.<Array.<annotorious.geom.Point>>} opt_holes the holes (optional)
  * @constructor
  */
-annotorious.shape.geom.Polygon = function(points) {
+annotorious.shape.geom.Polygon = function(points, opt_holes) {
   this.points = points;
+  if (opt_holes && opt_holes.length > 0)
+    this["holes"] = opt_holes;
 }
-
-
@@ -0,0 +1,11 @@
+goog.provide('annotorious.shape.geom.Polyline');
+
+/**
+ * A polyline (i.e. an open path) geometry primitive. A straight line is a
+ * polyline with two points.
+ * @param {Array.<annotorious.geom.Point>} points the points
+ * @constructor
+ */
+annotorious.shape.geom.Polyline = function(points) {
+  this.points = points;
+}
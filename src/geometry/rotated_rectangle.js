@@ -0,0 +1,18 @@
+goog.provide('annotorious.shape.geom.RotatedRectangle');
+
+/**
+ * A rotated (i.e. oriented) rectangle geometry primitive.
+ * @param {number} cx the center x coordinate
+ * @param {number} cy the center y coordinate
+ * @param {number} width the width (along the rotated x axis)
+ * @param {number} height the height (along the rotated y axis)
+ * @param {number} angle the rotation angle around the center, in degrees (clockwise, like SVG 'rotate')
+ * @constructor
+ */
+annotorious.shape.geom.RotatedRectangle = function(cx, cy, width, height, angle) {
+  this["cx"] = cx;
+  this["cy"] = cy;
+  this["width"] = Math.abs(width);
+  this["height"] = Math.abs(height);
+  this["angle"] = angle;
+}
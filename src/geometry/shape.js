@@ -3,7 +3,8 @@ goog.provide('annotorious.shape');
 /**
  * A shape. Consists of descriptive shape metadata, plus the actual shape geometry.
  * @param {annotorious.shape.ShapeType} type the shape type
- * @param {annotorious.shape.geom.Point | annotorious.shape.geom.Rectangle | annotorious.shape.geom.Polygon} geometry the geometry
+ * @param {annotorious.shape.geom.Point | annotorious.shape.geom.Rectangle | annotorious.shape.geom.Polygon | annotorious.shape.geom.Ellipse | annotorious.shape.geom.Polyline |
+ * annotorious.shape.geom.RotatedRectangle | annotorious.shape.geom.MultiPolygon} geometry the geometry
  * @param {annotorious.shape.Units} units geometry measurement units
  * @constructor
  */
@@ -21,7 +22,12 @@ annotorious.shape.Shape = function(type, geometry, units) {
 annotorious.shape.ShapeType = {
   POINT: 'point',
   RECTANGLE: 'rect',
-  POLYGON: 'polygon'
+  POLYGON: 'polygon',
+  MULTIPOLYGON: 'multipolygon',
+  ELLIPSE: 'ellipse',
+  POLYLINE: 'polyline',
+  ARROW: 'arrow',
+  ROTATED_RECTANGLE: 'rotatedrect'
 }
 
 /**
@@ -33,8 +39,116 @@ annotorious.shape.Units = {
   FRACTION: 'fraction'
 }
 
+/**
+ * The hit radius of points, in viewport pixels. Points are hit-tested as a circle of
+ * this radius, centered one radius above the point - i.e. covering a pin whose tip
+ * is on the point.
+ * @type {number}
+ */
+annotorious.shape.POINT_HIT_RADIUS = 10;
+
+/**
+ * The hit distance of polylines and arrows, in viewport pixels.
+ * @type {number}
+ */
+annotorious.shape.LINE_HIT_DISTANCE = 5;
+
 /** Helper functions & geometry computation utilities **/
 
+/**
+ * Checks whether a shape is a line shape, i.e. a polyline or an arrow. Line shapes
+ * have a Polyline geometry, and no area.
+ * @param {annotorious.shape.Shape} shape the shape
+ * @returns {boolean} true if the shape is a line shape
+ */
+annotorious.shape.isLine = function(shape) {
+  return shape.type == annotorious.shape.ShapeType.POLYLINE || shape.type == annotorious.shape.ShapeType.ARROW;
+}
+
+/**
+ * Returns the polygons of a polygon or multi-polygon shape.
+ * @param {annotorious.shape.Shape} shape the shape
+ * @returns {Array.<annotorious.shape.geom.Polygon> | undefined} the polygons, or undefined for other shape types
+ */
+annotorious.shape.getPolygons = function(shape) {
+  if (shape.type == annotorious.shape.ShapeType.POLYGON)
+    return [ shape["geometry"] ];
+  else if (shape.type == annotorious.shape.ShapeType.MULTIPOLYGON)
+    return shape["geometry"]["polygons"];
+}
+
+/**
+ * Returns the rings of a polygon: the outline first, followed by the holes (if any).
+ * @param {annotorious.shape.geom.Polygon} polygon the polygon
+ * @returns {Array.<Array.<annotorious.shape.geom.Point>>} the rings
+ */
+annotorious.shape.getRings = function(polygon) {
+  return (polygon["holes"]) ? [ polygon.points ].concat(polygon["holes"]) : [ polygon.points ];
+}
+
+/**
+ * Computes the signed area and the (unnormalized) first moments of a ring. The
+ * centroid of the ring is (x / (6 * area), y / (6 * area)).
+ * @param {Array.<annotorious.shape.geom.Point>} points the ring
+ * @returns {object} the signed 'area', and the moments 'x' and 'y'
+ * @private
+ */
+annotorious.shape._getRingMoments = function(points) {
+  var area = 0;
+  var x = 0;
+  var y = 0;
+  var j = points.length - 1;
+  for (var i=0; i<points.length; i++) {
+    var f = points[j].x * points[i].y - points[i].x * points[j].y;
+    area += f;
+    x += (points[i].x + points[j].x) * f;
+    y += (points[i].y + points[j].y) * f;
+    j = i;
+  }
+  return { area: area / 2, x: x, y: y };
+}
+
+/**
+ * Returns the corners of a rotated rectangle, clockwise, starting with the (unrotated) top left corner.
+ * @param {annotorious.shape.geom.RotatedRectangle} geom the rotated rectangle
+ * @returns {Array.<object>} the corners
+ */
+annotorious.shape.getCorners = function(geom) {
+  var rad = geom["angle"] * Math.PI / 180;
+  var cos = Math.cos(rad);
+  var sin = Math.sin(rad);
+  var w = geom["width"] / 2;
+  var h = geom["height"] / 2;
+  return goog.array.map([ [-w, -h], [w, -h], [w, h], [-w, h] ], function(offset) {
+    return {
+      x: geom["cx"] + offset[0] * cos - offset[1] * sin,
+      y: geom["cy"] + offset[0] * sin + offset[1] * cos
+    };
+  });
+}
+
+/**
+ * Computes the distance of a point from a line segment.
+ * @param {number} px the X coordinate
+ * @param {number} py the Y coordinate
+ * @param {annotorious.shape.geom.Point} a the start of the segment
+ * @param {annotorious.shape.geom.Point} b the end of the segment
+ * @returns {number} the distance
+ */
+annotorious.shape.getDistanceToSegment = function(px, py, a, b) {
+  var dx = b.x - a.x;
+  var dy = b.y - a.y;
+  var lengthSquared = dx * dx + dy * dy;
+
+  // Projection of the point onto the segment, as a fraction of the segment length
+  var t = (lengthSquared == 0) ? 0 : ((px - a.x) * dx + (py - a.y) * dy) / lengthSquared;
+  t = Math.max(0, Math.min(1, t));
+
+  var ex = px - (a.x + t * dx);
+  var ey = py - (a.y + t * dy);
+  return Math.sqrt(ex * ex + ey * ey);
+}
+
 /**
  * Checks whether a given shape intersects a point.
  * @param {annotorious.shape.Shape} shape the shape
@@ -58,20 +172,50 @@ annotorious.shape.intersects = function(shape, px, py) {
         return false;
     
       return true;
-    } else if (shape.type == annotorious.shape.ShapeType.POLYGON) {
-      var points = geom["points"];
+    } else if (shape.type == annotorious.shape.ShapeType.POLYGON || shape.type == annotorious.shape.ShapeType.MULTIPOLYGON) {
+      // Even-odd rule across all rings, so that points inside holes are outside the shape
       var inside = false;
-
-      var j = points.length - 1;
-      for (var i=0; i<points.length; i++) {
-        if ((points[i].y > py) != (points[j].y > py) && 
-            (px < (points[j].x - points[i].x) * (py - points[i].y) / (points[j].y-points[i].y) + points[i].x)) {
-          inside = !inside;
-        }
-        j = i;
-      }
+      goog.array.forEach(annotorious.shape.getPolygons(shape), function(polygon) {
+        goog.array.forEach(annotorious.shape.getRings(polygon), function(points) {
+          var j = points.length - 1;
+          for (var i=0; i<points.length; i++) {
+            if ((points[i].y > py) != (points[j].y > py) && 
+                (px < (points[j].x - points[i].x) * (py - points[i].y) / (points[j].y-points[i].y) + points[i].x)) {
+              inside = !inside;
+            }
+            j = i;
+          }
+        });
+      });
 
       return inside;
+    } else if (shape.type == annotorious.shape.ShapeType.POINT) {
+      var radius = annotorious.shape.POINT_HIT_RADIUS;
+      var dx = px - geom.x;
+      var dy = py - (geom.y - radius);
+      return dx * dx + dy * dy <= radius * radius;
+    } else if (shape.type == annotorious.shape.ShapeType.ELLIPSE) {
+      if (geom["rx"] == 0 || geom["ry"] == 0)
+        return false;
+
+      var ex = (px - geom["cx"]) / geom["rx"];
+      var ey = (py - geom["cy"]) / geom["ry"];
+      return ex * ex + ey * ey <= 1;
+    } else if (shape.type == annotorious.shape.ShapeType.ROTATED_RECTANGLE) {
+      // Rotate the point into the rectangle's coordinate system
+      var rad = geom["angle"] * Math.PI / 180;
+      var dx = px - geom["cx"];
+      var dy = py - geom["cy"];
+      var lx = dx * Math.cos(rad) + dy * Math.sin(rad);
+      var ly = -dx * Math.sin(rad) + dy * Math.cos(rad);
+      return Math.abs(lx) <= geom["width"] / 2 && Math.abs(ly) <= geom["height"] / 2;
+    } else if (annotorious.shape.isLine(shape)) {
+      var points = geom["points"];
+      for (var i=1; i<points.length; i++) {
+        if (annotorious.shape.getDistanceToSegment(px, py, points[i - 1], points[i]) <= annotorious.shape.LINE_HIT_DISTANCE)
+          return true;
+      }
+      return false;
     }
     
     return false;
@@ -85,17 +229,21 @@ annotorious.shape.intersects = function(shape, px, py) {
 annotorious.shape.getSize = function(shape) {
   if (shape.type == annotorious.shape.ShapeType.RECTANGLE) {
     return shape["geometry"].width * shape["geometry"].height;
-  } else if (shape.type == annotorious.shape.ShapeType.POLYGON) {
-    var points = shape["geometry"].points;
+  } else if (shape.type == annotorious.shape.ShapeType.POLYGON || shape.type == annotorious.shape.ShapeType.MULTIPOLYGON) {
+    // Outline areas, minus hole areas
     var area = 0.0;
+    goog.array.forEach(annotorious.shape.getPolygons(shape), function(polygon) {
+      goog.array.forEach(annotorious.shape.getRings(polygon), function(points, idx) {
+        var ringArea = Math.abs(annotorious.shape._getRingMoments(points).area);
+        area += (idx == 0) ? ringArea : - ringArea;
+      });
+    });
 
-    var j = points.length - 1;
-    for (var i=0; i<points.length; i++) {
-      area += (points[j].x + points[i].x) * (points[j].y -points[i].y); 
-      j = i; 
-    }
-
-    return Math.abs(area / 2);
+    return area;
+  } else if (shape.type == annotorious.shape.ShapeType.ELLIPSE) {
+    return Math.PI * shape["geometry"]["rx"] * shape["geometry"]["ry"];
+  } else if (shape.type == annotorious.shape.ShapeType.ROTATED_RECTANGLE) {
+    return shape["geometry"]["width"] * shape["geometry"]["height"];
   }
   
   return 0;
@@ -109,7 +257,7 @@ annotorious.shape.getSize = function(shape) {
 annotorious.shape.getBoundingRect = function(shape) {
   if (shape.type == annotorious.shape.ShapeType.RECTANGLE) {
     return shape["geometry"];
-  } else if (shape.type == annotorious.shape.ShapeType.POLYGON) {
+  } else if (shape.type == annotorious.shape.ShapeType.POLYGON || annotorious.shape.isLine(shape)) {
     var points = shape.geometry.points;
 
     var left = points[0].x;
@@ -132,6 +280,24 @@ annotorious.shape.getBoundingRect = function(shape) {
     }
     
     return new annotorious.shape.geom.Rectangle(left, top, right - left, bottom - top);
+  } else if (shape.type == annotorious.shape.ShapeType.MULTIPOLYGON) {
+    var rects = goog.array.map(shape["geometry"]["polygons"], function(polygon) {
+      return annotorious.shape.getBoundingRect(new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON, polygon));
+    });
+
+    var left = Math.min.apply(null, goog.array.map(rects, function(r) { return r.x; }));
+    var top = Math.min.apply(null, goog.array.map(rects, function(r) { return r.y; }));
+    var right = Math.max.apply(null, goog.array.map(rects, function(r) { return r.x + r.width; }));
+    var bottom = Math.max.apply(null, goog.array.map(rects, function(r) { return r.y + r.height; }));
+    return new annotorious.shape.geom.Rectangle(left, top, right - left, bottom - top);
+  } else if (shape.type == annotorious.shape.ShapeType.POINT) {
+    return new annotorious.shape.geom.Rectangle(shape.geometry.x, shape.geometry.y, 0, 0);
+  } else if (shape.type == annotorious.shape.ShapeType.ELLIPSE) {
+    var ellipse = shape["geometry"];
+    return new annotorious.shape.geom.Rectangle(ellipse["cx"] - ellipse["rx"], ellipse["cy"] - ellipse["ry"],
+      2 * ellipse["rx"], 2 * ellipse["ry"]);
+  } else if (shape.type == annotorious.shape.ShapeType.ROTATED_RECTANGLE) {
+    return annotorious.shape.getBoundingRect(annotorious.shape.toPolygon(shape));
   }
   
   return undefined;
@@ -146,22 +312,32 @@ annotorious.shape.getCentroid = function(shape) {
   if (shape.type == annotorious.shape.ShapeType.RECTANGLE) {
     var rect = shape.geometry;
     return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
-  } else if (shape.type == annotorious.shape.ShapeType.POLYGON) {
-    var points = shape.geometry.points;
+  } else if (shape.type == annotorious.shape.ShapeType.POLYGON || shape.type == annotorious.shape.ShapeType.MULTIPOLYGON) {
+    // Area-weighted ring centroids - outlines count positive, holes negative
+    var area = 0;
     var x = 0;
     var y = 0;
-    var f;
-    var j = points.length - 1;
-
-    for (var i=0; i<points.length; i++) {
-      f = points[i].x * points[j].y - points[j].x * points[i].y;
-      x += (points[i].x + points[j].x) * f;
-      y += (points[i].y + points[j].y) * f;
-      j = i;
-    }
+    goog.array.forEach(annotorious.shape.getPolygons(shape), function(polygon) {
+      goog.array.forEach(annotorious.shape.getRings(polygon), function(points, idx) {
+        var moments = annotorious.shape._getRingMoments(points);
+        var sign = ((moments.area < 0) ? -1 : 1) * ((idx == 0) ? 1 : -1);
+        area += sign * moments.area;
+        x += sign * moments.x / 6;
+        y += sign * moments.y / 6;
+      });
+    });
 
-    f = annotorious.shape.size(shape) * 6;
-    return { x: Math.abs(x/f), y: Math.abs(y/f) };
+    return { x: x / area, y: y / area };
+  } else if (shape.type == annotorious.shape.ShapeType.POINT) {
+    return { x: shape.geometry.x, y: shape.geometry.y };
+  } else if (shape.type == annotorious.shape.ShapeType.ELLIPSE) {
+    return { x: shape["geometry"]["cx"], y: shape["geometry"]["cy"] };
+  } else if (shape.type == annotorious.shape.ShapeType.ROTATED_RECTANGLE) {
+    return { x: shape["geometry"]["cx"], y: shape["geometry"]["cy"] };
+  } else if (annotorious.shape.isLine(shape)) {
+    // Line shapes have no area - use the center of the bounds instead
+    var bounds = annotorious.shape.getBoundingRect(shape);
+    return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
   }
   
   return undefined;
@@ -182,18 +358,117 @@ annotorious.shape.transform = function(shape, transformationFn) {
     var size = transformationFn({ x: geom.width, y: geom.height });
     return new annotorious.shape.Shape(annotorious.shape.ShapeType.RECTANGLE, 
       new annotorious.shape.geom.Rectangle(anchor.x, anchor.y, size.x, size.y));
-  } else if (shape.type == annotorious.shape.ShapeType.POLYGON) {
-    var transformedPoints = [];
-    goog.array.forEach(shape.geometry.points, function(pt) {
-      transformedPoints.push(transformationFn(pt));
+  } else if (shape.type == annotorious.shape.ShapeType.POLYGON || shape.type == annotorious.shape.ShapeType.MULTIPOLYGON) {
+    var polygons = goog.array.map(annotorious.shape.getPolygons(shape), function(polygon) {
+      var rings = goog.array.map(annotorious.shape.getRings(polygon), function(points) {
+        return goog.array.map(points, function(pt) { return transformationFn(pt); });
+      });
+      return new annotorious.shape.geom.Polygon(rings[0], rings.slice(1));
     });
-    return new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON,
-      new annotorious.shape.geom.Polygon(transformedPoints));
+
+    if (shape.type == annotorious.shape.ShapeType.POLYGON)
+      return new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON, polygons[0]);
+    else
+      return new annotorious.shape.Shape(annotorious.shape.ShapeType.MULTIPOLYGON,
+        new annotorious.shape.geom.MultiPolygon(polygons));
+  } else if (shape.type == annotorious.shape.ShapeType.POINT) {
+    var pt = transformationFn({ x: shape.geometry.x, y: shape.geometry.y });
+    return new annotorious.shape.Shape(annotorious.shape.ShapeType.POINT,
+      new annotorious.shape.geom.Point(pt.x, pt.y));
+  } else if (shape.type == annotorious.shape.ShapeType.ELLIPSE) {
+    var ellipse = shape["geometry"];
+    var center = transformationFn({ x: ellipse["cx"], y: ellipse["cy"] });
+    var corner = transformationFn({ x: ellipse["cx"] + ellipse["rx"], y: ellipse["cy"] + ellipse["ry"] });
+    return new annotorious.shape.Shape(annotorious.shape.ShapeType.ELLIPSE,
+      new annotorious.shape.geom.Ellipse(center.x, center.y, corner.x - center.x, corner.y - center.y));
+  } else if (shape.type == annotorious.shape.ShapeType.ROTATED_RECTANGLE) {
+    // The transformation may not preserve right angles (e.g. when scaling to fractions of
+    // a non-square image). The width follows the transformed width edge, the height is
+    // chosen so that the area is preserved - which makes transformations reversible.
+    var corners = goog.array.map(annotorious.shape.getCorners(shape["geometry"]), transformationFn);
+    var center = transformationFn({ x: shape["geometry"]["cx"], y: shape["geometry"]["cy"] });
+    var wx = corners[1].x - corners[0].x;
+    var wy = corners[1].y - corners[0].y;
+    var hx = corners[3].x - corners[0].x;
+    var hy = corners[3].y - corners[0].y;
+    var width = Math.sqrt(wx * wx + wy * wy);
+    var height = (width == 0) ? Math.sqrt(hx * hx + hy * hy) : Math.abs(wx * hy - wy * hx) / width;
+    return new annotorious.shape.Shape(annotorious.shape.ShapeType.ROTATED_RECTANGLE,
+      new annotorious.shape.geom.RotatedRectangle(center.x, center.y, width, height, Math.atan2(wy, wx) * 180 / Math.PI));
+  } else if (annotorious.shape.isLine(shape)) {
+    var transformedPoints = goog.array.map(shape.geometry.points, function(pt) {
+      return transformationFn(pt);
+    });
+    return new annotorious.shape.Shape(shape.type, new annotorious.shape.geom.Polyline(transformedPoints));
   }
   
   return undefined;
 }
 
+/**
+ * Converts a shape drawn by a selector from viewport to item coordinates. If the selector
+ * edits an existing shape that uses pixel units, the result stays in pixel units (which
+ * are the same as viewport coordinates). Rectangles are converted by their corners rather
+ * than by their size, since item coordinates may have an origin of their own (e.g. on maps).
+ * @param {annotorious.shape.Shape} shape the shape, in viewport coordinates
+ * @param {object} annotator the annotator, which converts the coordinates
+ * @param {annotorious.shape.Units} opt_units the units of the edited shape (optional)
+ * @returns {annotorious.shape.Shape} the shape in item coordinates
+ */
+annotorious.shape.toItemShape = function(shape, annotator, opt_units) {
+  if (opt_units == annotorious.shape.Units.PIXEL)
+    return new annotorious.shape.Shape(shape.type, shape['geometry'], opt_units);
+
+  if (shape.type == annotorious.shape.ShapeType.RECTANGLE) {
+    var geom = shape['geometry'];
+    var anchor = annotator.toItemCoordinates({ x: geom.x, y: geom.y });
+    var opposite = annotator.toItemCoordinates({ x: geom.x + geom.width, y: geom.y + geom.height });
+    return new annotorious.shape.Shape(annotorious.shape.ShapeType.RECTANGLE,
+      new annotorious.shape.geom.Rectangle(anchor.x, anchor.y, opposite.x - anchor.x, opposite.y - anchor.y));
+  }
+
+  return annotorious.shape.transform(shape, function(xy) { return annotator.toItemCoordinates(xy); });
+}
+
+/**
+ * Approximates a shape with a polygon, e.g. for export to formats that don't support
+ * the shape type. Rectangles and rotated rectangles become four-point polygons, ellipses
+ * are sampled along their outline. Polygons (including their holes) are returned as they
+ * are. Line shapes have no area, and multi-polygons can't be represented as one polygon.
+ * @param {annotorious.shape.Shape} shape the shape
+ * @param {number} opt_segments the number of vertices used for ellipses (optional, default is 32)
+ * @returns {annotorious.shape.Shape | undefined} the polygon, or undefined if the shape has no area
+ */
+annotorious.shape.toPolygon = function(shape, opt_segments) {
+  var points;
+  if (shape.type == annotorious.shape.ShapeType.POLYGON) {
+    return shape;
+  } else if (shape.type == annotorious.shape.ShapeType.RECTANGLE) {
+    var rect = shape["geometry"];
+    points = [
+      { x: rect.x, y: rect.y },
+      { x: rect.x + rect.width, y: rect.y },
+      { x: rect.x + rect.width, y: rect.y + rect.height },
+      { x: rect.x, y: rect.y + rect.height }
+    ];
+  } else if (shape.type == annotorious.shape.ShapeType.ROTATED_RECTANGLE) {
+    points = annotorious.shape.getCorners(shape["geometry"]);
+  } else if (shape.type == annotorious.shape.ShapeType.ELLIPSE) {
+    var ellipse = shape["geometry"];
+    var segments = (opt_segments) ? opt_segments : 32;
+    points = [];
+    for (var i=0; i<segments; i++) {
+      var angle = 2 * Math.PI * i / segments;
+      points.push({ x: ellipse["cx"] + ellipse["rx"] * Math.cos(angle), y: ellipse["cy"] + ellipse["ry"] * Math.sin(angle) });
+    }
+  } else {
+    return undefined;
+  }
+
+  return new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON,
+    new annotorious.shape.geom.Polygon(points), shape.units);
+}
+
 /**
  * Computes a 'hashCode' for the specified shape. Not the nicest (and most performat?)
  * way to do it. But we need a useful .toString kind-of fuctionality to use for hashtable
@@ -0,0 +1,185 @@
+goog.provide('annotorious.history');
+
+goog.require('goog.array');
+
+/**
+ * The undo/redo history of annotation create, edit and delete operations on
+ * one annotatable item. Undoing or redoing an operation fires the same lifecycle
+ * events as the original operation, so that handlers (e.g. storage) stay in sync.
+ * @param {object} annotator reference to the annotator
+ * @param {number} opt_depth the maximum number of operations to keep (optional)
+ * @constructor
+ */
+annotorious.history.History = function(annotator, opt_depth) {
+  /** @private **/
+  this._annotator = annotator;
+
+  /** @private **/
+  this._depth = (opt_depth) ? opt_depth : annotorious.history.DEFAULT_DEPTH;
+
+  /** @private **/
+  this._undoStack = [];
+
+  /** @private **/
+  this._redoStack = [];
+}
+
+/**
+ * The default maximum number of operations kept in a history.
+ * @type {number}
+ */
+annotorious.history.DEFAULT_DEPTH = 50;
+
+/**
+ * Possible operation types
+ * @enum {string}
+ */
+annotorious.history.OperationType = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  REMOVE: 'remove'
+}
+
+/**
+ * Takes a snapshot of the editable state (text and shapes) of an annotation.
+ * @param {Annotation} annotation the annotation
+ * @returns {object} the snapshot
+ */
+annotorious.history.snapshot = function(annotation) {
+  return { 'text': annotation.text, 'shapes': goog.array.clone(annotation['shapes']) };
+}
+
+/**
+ * Records an operation, discarding the redo stack.
+ * @param {annotorious.history.OperationType} type the operation type
+ * @param {Annotation} annotation the annotation
+ * @param {object} opt_before the annotation state before the operation (for updates)
+ */
+annotorious.history.History.prototype.record = function(type, annotation, opt_before) {
+  var operation = { type: type, annotation: annotation, time: goog.now() };
+  if (type == annotorious.history.OperationType.UPDATE) {
+    operation.before = opt_before;
+    operation.after = annotorious.history.snapshot(annotation);
+  }
+
+  this._undoStack.push(operation);
+  this._redoStack = [];
+  this._trim();
+}
+
+/**
+ * Discards the oldest operations, so that the history does not exceed its depth.
+ * @private
+ */
+annotorious.history.History.prototype._trim = function() {
+  if (this._undoStack.length > this._depth)
+    this._undoStack.splice(0, this._undoStack.length - this._depth);
+}
+
+/**
+ * Sets the maximum number of operations kept in the history.
+ * @param {number} depth the depth
+ */
+annotorious.history.History.prototype.setDepth = function(depth) {
+  this._depth = depth;
+  this._trim();
+}
+
+/**
+ * Restores an annotation to a snapshotted state.
+ * @param {Annotation} annotation the annotation
+ * @param {object} state the snapshot
+ * @private
+ */
+annotorious.history.History.prototype._restore = function(annotation, state) {
+  var previous = annotorious.history.snapshot(annotation);
+  this._annotator.removeAnnotation(annotation);
+  annotation.text = state['text'];
+  annotation['shapes'] = goog.array.clone(state['shapes']);
+  this._annotator.addAnnotation(annotation);
+  this._annotator.fireEvent(annotorious.events.EventType.ANNOTATION_UPDATED,
+    { 'annotation': annotation, 'previous': previous });
+}
+
+/**
+ * Re-adds a removed annotation.
+ * @param {Annotation} annotation the annotation
+ * @private
+ */
+annotorious.history.History.prototype._add = function(annotation) {
+  this._annotator.addAnnotation(annotation);
+  this._annotator.fireEvent(annotorious.events.EventType.ANNOTATION_CREATED, annotation);
+}
+
+/**
+ * Removes an annotation.
+ * @param {Annotation} annotation the annotation
+ * @private
+ */
+annotorious.history.History.prototype._remove = function(annotation) {
+  this._annotator.fireEvent(annotorious.events.EventType.ANNOTATION_REMOVED, annotation);
+  this._annotator.removeAnnotation(annotation);
+}
+
+/**
+ * Undoes the last operation.
+ * @returns {boolean} true if there was an operation to undo
+ */
+annotorious.history.History.prototype.undo = function() {
+  var operation = this._undoStack.pop();
+  if (!operation)
+    return false;
+
+  if (operation.type == annotorious.history.OperationType.CREATE)
+    this._remove(operation.annotation);
+  else if (operation.type == annotorious.history.OperationType.REMOVE)
+    this._add(operation.annotation);
+  else
+    this._restore(operation.annotation, operation.before);
+
+  operation.time = goog.now();
+  this._redoStack.push(operation);
+  return true;
+}
+
+/**
+ * Redoes the last undone operation.
+ * @returns {boolean} true if there was an operation to redo
+ */
+annotorious.history.History.prototype.redo = function() {
+  var operation = this._redoStack.pop();
+  if (!operation)
+    return false;
+
+  if (operation.type == annotorious.history.OperationType.CREATE)
+    this._add(operation.annotation);
+  else if (operation.type == annotorious.history.OperationType.REMOVE)
+    this._remove(operation.annotation);
+  else
+    this._restore(operation.annotation, operation.after);
+
+  operation.time = goog.now();
+  this._undoStack.push(operation);
+  this._trim();
+  return true;
+}
+
+/**
+ * Returns the time of the operation that would be undone next.
+ * @returns {number | undefined} the timestamp, or undefined if there is nothing to undo
+ */
+annotorious.history.History.prototype.getUndoTime = function() {
+  var operation = goog.array.peek(this._undoStack);
+  if (operation)
+    return operation.time;
+}
+
+/**
+ * Returns the time at which the operation that would be redone next was undone.
+ * @returns {number | undefined} the timestamp, or undefined if there is nothing to redo
+ */
+annotorious.history.History.prototype.getRedoTime = function() {
+  var operation = goog.array.peek(this._redoStack);
+  if (operation)
+    return operation.time;
+}
@@ -4,6 +4,7 @@ var humanEvents = annotorious.humanEvents;
 provide('annotorious.modules.image.ImageAnnotator');
 
 goog.require('goog.soy');
+goog.require('goog.array');
 goog.require('goog.dom');
 goog.require('goog.dom.classes');
 goog.require('goog.dom.query');
@@ -15,10 +16,21 @@ goog.require('goog.style');
  * The ImageAnnotator is responsible for handling annotation functionality
  * on one image in the page.
  * @param {element} image the image DOM element
+ * @param {object} opt_options per-item config options (optional):
+ * 'selector' - the name of the default selector
+ * 'selectors' - the names of the selectors available on this item
+ * 'readOnly' - if true, annotations can neither be created, nor edited or deleted
+ * 'hint' - if false, the hint is not shown
+ * 'popup' - the popup mode: 'hover' (default) or 'none'
+ * 'snippet' - if true, the popup shows a snippet of the annotated region
+ * 'freehand' - options for the freehand selector (e.g. 'tolerance')
+ * 'style' - the shape style: 'outline', 'stroke' and 'highlight' colors
+ * 'historyDepth' - the maximum number of undoable operations
  * @constructor
  */
-annotorious.modules.image.ImageAnnotator = function(image) {
+annotorious.modules.image.ImageAnnotator = function(image, opt_options) {
   var annotationLayer, viewCanvas, hint;
+  var options = (opt_options) ? opt_options : {};
 
   /** The editor for this annotator (public for use by plugins) **/
   this.editor;
@@ -39,7 +51,19 @@ annotorious.modules.image.ImageAnnotator = function(image) {
   this._currentSelector;
 
   /** @private **/
-  this._selectionEnabled = true;
+  this._editSelector;
+
+  /** @private **/
+  this._readOnly = options['readOnly'] === true;
+
+  /** @private **/
+  this._selectionEnabled = !this._readOnly;
+
+  /** @private **/
+  this._history = new annotorious.history.History(this, options['historyDepth']);
+
+  /** @private **/
+  this._listenerKeys = [];
 
   annotationLayer = goog.dom.createDom('div', 'annotorious-annotationlayer');
   goog.style.setStyle(annotationLayer, 'position', 'relative');
@@ -48,6 +72,9 @@ annotorious.modules.image.ImageAnnotator = function(image) {
   goog.dom.replaceNode(annotationLayer, image);
   goog.dom.appendChild(annotationLayer, image);
 
+  /** @private **/
+  this._annotationLayer = annotationLayer;
+
   viewCanvas = goog.soy.renderAsElement(annotorious.templates.image.canvas,
     { width:image.width, height:image.height });
   goog.dom.classes.add(viewCanvas, 'annotorious-item-unfocus');
@@ -60,44 +87,75 @@ annotorious.modules.image.ImageAnnotator = function(image) {
   goog.dom.appendChild(annotationLayer, this._editCanvas);  
 
   this.popup = new annotorious.viewer.Popup(annotationLayer, this);
+  this.popup.setReadOnly(this._readOnly);
+  if (options['popup'] == 'none')
+    this.popup.setEnabled(false);
+  if (options['snippet'])
+    this.popup.addSnippetField();
 
   // TODO these should be plugins, not hardcoded!
-  var default_selector = new annotorious.plugins.selection.RectDragSelector();
-  default_selector.init(this._editCanvas, this); 
-  this._selectors.push(default_selector);
-  this._currentSelector = default_selector;
+  this._selectors.push(new annotorious.plugins.selection.RectDragSelector());
+  this._selectors.push(new annotorious.plugins.selection.PolygonSelector());
+  this._selectors.push(new annotorious.plugins.selection.FreehandSelector(options['freehand']));
+  this._selectors.push(new annotorious.plugins.selection.PointSelector());
+  this._selectors.push(new annotorious.plugins.selection.EllipseDragSelector());
+  this._selectors.push(new annotorious.plugins.selection.PolylineSelector());
+  this._selectors.push(new annotorious.plugins.selection.PolylineSelector({ 'arrow': true }));
+  this._selectors.push(new annotorious.plugins.selection.RotatedRectSelector());
 
-  var polygon_selector = new annotorious.plugins.selection.PolygonSelector();
-  polygon_selector.init(this._editCanvas, this);
-  this._selectors.push(polygon_selector);
+  var self = this;  
+  goog.array.forEach(this._selectors, function(selector) {
+    selector.init(self._editCanvas, self);
+  });
+
+  var selectorNames = goog.array.map(this._selectors, function(selector) { return selector.getName(); });
+  var requestedNames = goog.array.filter(options['selectors'] || [], function(name) {
+    if (goog.array.contains(selectorNames, name))
+      return true;
+
+    console.log('Unknown selector: ' + name);
+    return false;
+  });
+
+  /** 
+   * The names of the selectors the user can choose from. (All selectors remain in
+   * use for displaying and editing existing annotations.) If none of the requested
+   * selectors exists, all selectors are available.
+   * @private
+   */
+  this._availableSelectorNames = (requestedNames.length > 0) ? requestedNames : selectorNames;
+
+  this._currentSelector = this.getAvailableSelectors()[0];
+  if (options['selector'])
+    this.setActiveSelector(options['selector']);
 
   /** @private **/
-  this._viewer = new annotorious.modules.image.Viewer(viewCanvas, this.popup, this); 
+  this._viewer = new annotorious.modules.image.Viewer(viewCanvas, this.popup, this, options['style']); 
 
   this.editor = new annotorious.editor.Editor(this, annotationLayer);
 
   /** @private **/
-  this._hint = new annotorious.hint.Hint(this, annotationLayer);
+  this._hint;
+  if (options['hint'] !== false && !this._readOnly)
+    this._hint = new annotorious.hint.Hint(this, annotationLayer);
 
-  var self = this;  
-
-  goog.events.listen(annotationLayer, humanEvents.OVER, function(event) {
+  this._listenerKeys.push(goog.events.listen(annotationLayer, humanEvents.OVER, function(event) {
     var relatedTarget = event.relatedTarget;
     if (!relatedTarget || !goog.dom.contains(annotationLayer, relatedTarget)) {
       self._eventBroker.fireEvent(annotorious.events.EventType.MOUSE_OVER_ANNOTATABLE_ITEM);
       goog.dom.classes.addRemove(viewCanvas, 'annotorious-item-unfocus', 'annotorious-item-focus');
     }
-  });
+  }));
 
-  goog.events.listen(annotationLayer, humanEvents.OUT, function(event) {
+  this._listenerKeys.push(goog.events.listen(annotationLayer, humanEvents.OUT, function(event) {
     var relatedTarget = event.relatedTarget;
     if (!relatedTarget || !goog.dom.contains(annotationLayer, relatedTarget)) {
       self._eventBroker.fireEvent(annotorious.events.EventType.MOUSE_OUT_OF_ANNOTATABLE_ITEM);
       goog.dom.classes.addRemove(viewCanvas, 'annotorious-item-focus', 'annotorious-item-unfocus');
     }
-  });
+  }));
 
-  goog.events.listener(viewCanvas, humanEvents.DOWN, function(event) {
+  this._listenerKeys.push(goog.events.listen(viewCanvas, humanEvents.DOWN, function(event) {
     var points = annotorious.events.sanitizeCoordinates(event);
     event.preventDefault();
     if (self._selectionEnabled) {
@@ -105,7 +163,7 @@ annotorious.modules.image.ImageAnnotator = function(image) {
       self._viewer.highlightAnnotation(undefined);
       self._currentSelector.startSelection(points.x, points.y);
     }
-  });
+  }));
 
   this._eventBroker.addHandler(annotorious.events.EventType.SELECTION_COMPLETED, function(event) {
     var bounds = event.viewportBounds;
@@ -125,24 +183,26 @@ annotorious.modules.image.ImageAnnotator.prototype.editAnnotation = function(ann
   this._viewer.removeAnnotation(annotation);
   
   // Step 2 - find a suitable selector for the shape
-  var selector = goog.array.find(this._selectors, function(selector) {
-    return selector.getSupportedShapeType() == annotation["shapes"][0].type;
-  });
+  var selector = this.getSelectorForShapeType(annotation["shapes"][0].type);
   
   // Step 3 - open annotation in editor
   if (selector) {
     goog.style.showElement(this._editCanvas, true);
     this._viewer.highlightAnnotation(undefined);
-    
-    // TODO make editable - not just draw (selector implementation required)
-    var g2d = this._editCanvas.getContext('2d');
+
     var shape = annotation["shapes"][0];
-    
-    var self = this;
-    var viewportShape = (shape.units == 'pixel') ? shape : annotorious.shape.transform(shape, function(xy) { return self.fromItemCoordinates(xy); }) ;
-    selector.drawShape(g2d, viewportShape);
+    if (selector.editShape) {
+      this._editSelector = selector;
+      selector.editShape(shape);
+    } else {
+      // Selector does not support editing - just draw the shape
+      var g2d = this._editCanvas.getContext('2d');
+      var self = this;
+      var viewportShape = (shape.units == 'pixel') ? shape : annotorious.shape.transform(shape, function(xy) { return self.fromItemCoordinates(xy); }) ;
+      selector.drawShape(g2d, viewportShape);
+    }
   }
-  console.log("145 image_annotator", annotation)
+
   var bounds = annotorious.shape.getBoundingRect(annotation["shapes"][0]);
   var anchor = (annotation["shapes"][0].units == 'pixel') ?
     ({ x: bounds.x, y: bounds.y + bounds.height }) :
@@ -150,7 +210,7 @@ annotorious.modules.image.ImageAnnotator.prototype.editAnnotation = function(ann
   
   this.editor.setPosition({ x: anchor.x + this._image.offsetLeft,
                             y: anchor.y + 4 + this._image.offsetTop });
-  this.editor.open(annotation);  
+  this.editor.open(annotation, this._editSelector);  
 }
 
 /**
@@ -179,6 +239,32 @@ annotorious.modules.image.ImageAnnotator.prototype.addSelector = function(select
   // TODO implement
 }
 
+/**
+ * Standard Annotator method: destroys this annotator. Detaches all listeners, removes
+ * the annotation layer and restores the original image element in the DOM.
+ */
+annotorious.modules.image.ImageAnnotator.prototype.destroy = function() {
+  goog.array.forEach(this._listenerKeys, function(key) {
+    goog.events.unlistenByKey(key);
+  });
+  this._listenerKeys = [];
+
+  goog.array.forEach(this._selectors, function(selector) {
+    selector.stopSelection();
+  });
+
+  if (this._hint) {
+    this._hint.destroy();
+    delete this._hint;
+  }
+
+  this._viewer.destroy();
+  this.popup.destroy();
+  this.editor.destroy();
+
+  goog.dom.replaceNode(this._image, this._annotationLayer);
+}
+
 /**
  * Standard Annotator method: fire an event on this annotator's Event Broker.
  * @param {annotorious.events.EventType} type the event type
@@ -188,6 +274,16 @@ annotorious.modules.image.ImageAnnotator.prototype.fireEvent = function(type, ev
   this._eventBroker.fireEvent(type, event);
 }
 
+/**
+ * Standard Annotator method: fire a cancellable ('before') event on this annotator's Event Broker.
+ * @param {annotorious.events.EventType} type the event type
+ * @param {object} the event object
+ * @returns {Promise} a promise that is rejected (with the reason, if any) if a handler vetoed
+ */
+annotorious.modules.image.ImageAnnotator.prototype.fireCancellableEvent = function(type, event) {
+  return this._eventBroker.fireCancellableEvent(type, event);
+}
+
 /**
  * Standard Annotator method: converts the specified viewport coordinate to the
  * coordinate system used by the annotatable item.
@@ -215,12 +311,107 @@ annotorious.modules.image.ImageAnnotator.prototype.getAnnotations = function() {
   return this._viewer.getAnnotations();
 }
 
+/**
+ * Standard Annotator method: returns the annotation with the specified ID.
+ * @param {string} id the annotation ID
+ * @returns {Annotation | undefined} the annotation, or undefined if there is none with this ID
+ */
+annotorious.modules.image.ImageAnnotator.prototype.getAnnotationById = function(id) {
+  return this._viewer.getAnnotationById(id);
+}
+
 /**
  * Standard Annotator method: returns the available selectors for this item.
  * @returns {Array.<object>} the list of selectors
  */
 annotorious.modules.image.ImageAnnotator.prototype.getAvailableSelectors = function() {
-  return this._selectors;
+  var names = this._availableSelectorNames;
+  return goog.array.filter(this._selectors, function(selector) {
+    return goog.array.contains(names, selector.getName());
+  });
+}
+
+/**
+ * Standard Annotator method: returns the undo/redo history of this annotator.
+ * @returns {annotorious.history.History} the history
+ */
+annotorious.modules.image.ImageAnnotator.prototype.getHistory = function() {
+  return this._history;
+}
+
+/**
+ * Standard Annotator method: returns the selector that supports the specified shape 
+ * type, i.e. the one used to draw and edit shapes of this type. Selectors that handle
+ * more than one shape type list them in the (optional) getSupportedShapeTypes method.
+ * @param {annotorious.shape.ShapeType} type the shape type
+ * @returns {object | undefined} the selector, or undefined if the shape type is not supported
+ */
+annotorious.modules.image.ImageAnnotator.prototype.getSelectorForShapeType = function(type) {
+  return goog.array.find(this._selectors, function(selector) {
+    if (selector.getSupportedShapeTypes)
+      return goog.array.contains(selector.getSupportedShapeTypes(), type);
+    return selector.getSupportedShapeType() == type;
+  });
+}
+
+/**
+ * Standard Annotator method: crops the region of an annotation out of the image, at
+ * natural resolution (or scaled down to a maximum size). For polygons, the area outside
+ * the polygon (and inside its holes) is left transparent. Note that the image must be served from the same 
+ * origin (or with CORS headers), otherwise the browser refuses to export the snippet.
+ * @param {Annotation} annotation the annotation
+ * @param {object} opt_options options (optional): 'maxSize' - the maximum width and height
+ * of the snippet in pixels, 'type' - the image MIME type (default is 'image/png')
+ * @returns {string | undefined} the snippet as data URL, or undefined if the image size is not known
+ */
+annotorious.modules.image.ImageAnnotator.prototype.getSnippet = function(annotation, opt_options) {
+  var options = (opt_options) ? opt_options : {};
+  var item = this.getItem();
+  var shape = annotorious.formats.toNaturalPixels(annotation['shapes'][0], item);
+  if (!shape)
+    return undefined;
+
+  // Bounding rectangle, clipped to the image
+  var bounds = annotorious.shape.getBoundingRect(shape);
+  var left = Math.max(0, Math.floor(bounds.x));
+  var top = Math.max(0, Math.floor(bounds.y));
+  var right = Math.min(item.naturalWidth, Math.ceil(bounds.x + bounds.width));
+  var bottom = Math.min(item.naturalHeight, Math.ceil(bounds.y + bounds.height));
+  if (right <= left || bottom <= top)
+    return undefined;
+
+  var scale = 1;
+  if (options['maxSize'])
+    scale = Math.min(1, options['maxSize'] / Math.max(right - left, bottom - top));
+
+  var canvas = goog.dom.createDom('canvas');
+  canvas.width = Math.max(1, Math.round((right - left) * scale));
+  canvas.height = Math.max(1, Math.round((bottom - top) * scale));
+
+  var g2d = canvas.getContext('2d');
+  var outline = (shape.type == annotorious.shape.ShapeType.RECTANGLE) ? undefined :
+    (shape.type == annotorious.shape.ShapeType.MULTIPOLYGON) ? shape : annotorious.shape.toPolygon(shape);
+  if (outline) {
+    // Shapes with an area are clipped to their (approximated) outline - holes are left out
+    g2d.beginPath();
+    goog.array.forEach(annotorious.shape.getPolygons(outline), function(polygon) {
+      goog.array.forEach(annotorious.shape.getRings(polygon), function(points) {
+        goog.array.forEach(points, function(pt, idx) {
+          var x = (pt.x - left) * scale;
+          var y = (pt.y - top) * scale;
+          if (idx == 0)
+            g2d.moveTo(x, y);
+          else
+            g2d.lineTo(x, y);
+        });
+        g2d.closePath();
+      });
+    });
+    g2d.clip('evenodd');
+  }
+
+  g2d.drawImage(this._image, left, top, right - left, bottom - top, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL((options['type']) ? options['type'] : 'image/png');
 }
 
 /**
@@ -228,8 +419,7 @@ annotorious.modules.image.ImageAnnotator.prototype.getAvailableSelectors = funct
  * @returns {element} the image
  */
 annotorious.modules.image.ImageAnnotator.prototype.getItem = function() {
-  // TODO include width and height
-  return { src: annotorious.modules.image.ImageModule.getItemURL(this._image) };
+  return annotorious.modules.image.ImageModule.getItemInfo(this._image);
 }
 
 /**
@@ -240,6 +430,14 @@ annotorious.modules.image.ImageAnnotator.prototype.highlightAnnotation = functio
   this._viewer.highlightAnnotation(annotation);
 }
 
+/**
+ * Returns true while the user is drawing or editing a shape, or has the editor open.
+ * @returns {boolean} true if a selection or edit is in progress
+ */
+annotorious.modules.image.ImageAnnotator.prototype.isEditing = function() {
+  return goog.style.isElementShown(this._editCanvas) || goog.style.isElementShown(this.editor.element);
+}
+
 /**
  * Standard Annotator method: removes an annotation from this annotator's viewer.
  * @param {annotorious.annotation.Annotation} annotation the annotation
@@ -257,14 +455,92 @@ annotorious.modules.image.ImageAnnotator.prototype.removeHandler = function(type
   this._eventBroker.removeHandler(type, handler);
 }
 
+/**
+ * Standard Annotator method: renders the image with its annotations onto an offscreen
+ * canvas at natural resolution. Shapes are drawn by their selectors, just like in the
+ * viewer. Note that the image must be served from the same origin (or with CORS headers),
+ * otherwise the browser refuses to export the canvas.
+ * @param {Array.<object>} regions the annotations to draw, as objects with 'annotation',
+ * 'shape' (in natural pixel coordinates) and 'text' (plain text) fields
+ * @param {object} opt_options options (optional): 'highlight' - if true, the currently
+ * highlighted annotation is drawn highlighted, 'labels' - if true, annotations are numbered,
+ * 'legend' - if true, a legend with the numbered annotation texts is added below the image,
+ * 'type' - the image MIME type (default is 'image/png'), 'blob' - if true, a promise for
+ * a Blob is returned instead of a data URL
+ * @returns {string | Promise} the data URL, or a promise for the Blob
+ */
+annotorious.modules.image.ImageAnnotator.prototype.renderToImage = function(regions, opt_options) {
+  var options = (opt_options) ? opt_options : {};
+  var item = this.getItem();
+  var width = item.naturalWidth;
+  var height = item.naturalHeight;
+  var highlighted = (options['highlight']) ? this._viewer.getHighlightedAnnotation() : undefined;
+
+  var fontSize = Math.max(12, Math.round(width / 60));
+  var lineHeight = Math.round(fontSize * 1.5);
+  var legendHeight = (options['legend'] && regions.length > 0) ? (regions.length + 1) * lineHeight : 0;
+
+  var canvas = goog.dom.createDom('canvas');
+  canvas.width = width;
+  canvas.height = height + legendHeight;
+
+  var g2d = canvas.getContext('2d');
+  g2d.drawImage(this._image, 0, 0, width, height);
+  g2d.font = fontSize + 'px Verdana, Arial';
+  g2d.textBaseline = 'middle';
+
+  var self = this;
+  goog.array.forEach(regions, function(region, idx) {
+    var shape = region['shape'];
+    var selector = self.getSelectorForShapeType(shape.type);
+    if (selector)
+      selector.drawShape(g2d, shape, region['annotation'] == highlighted, self._viewer.getStyle());
+
+    if (options['labels']) {
+      var bounds = annotorious.shape.getBoundingRect(shape);
+      g2d.fillStyle = '#000000';
+      g2d.beginPath();
+      g2d.arc(bounds.x, bounds.y, lineHeight / 2, 0, 2 * Math.PI);
+      g2d.fill();
+      g2d.fillStyle = '#ffffff';
+      g2d.textAlign = 'center';
+      g2d.fillText(String(idx + 1), bounds.x, bounds.y);
+    }
+  });
+
+  if (legendHeight > 0) {
+    g2d.fillStyle = '#ffffff';
+    g2d.fillRect(0, height, width, legendHeight);
+    g2d.fillStyle = '#000000';
+    g2d.textAlign = 'left';
+    goog.array.forEach(regions, function(region, idx) {
+      g2d.fillText((idx + 1) + '. ' + region['text'], lineHeight / 2, height + (idx + 1) * lineHeight);
+    });
+  }
+
+  var type = (options['type']) ? options['type'] : 'image/png';
+  if (options['blob']) {
+    return new Promise(function(resolve) {
+      canvas.toBlob(resolve, type);
+    });
+  } else {
+    return canvas.toDataURL(type);
+  }
+}
+
 /**
  * Standard Annotator method: sets the active selector for this item to the specified selector.
  * @param {object} the selector object
  */
 annotorious.modules.image.ImageAnnotator.prototype.setActiveSelector = function(selector) {
-  this._currentSelector = goog.array.find(this._selectors, function(sel) {
+  var available = goog.array.find(this.getAvailableSelectors(), function(sel) {
     return sel.getName() == selector;
   });
+
+  if (available)
+    this._currentSelector = available;
+  else
+    console.log('Selector not available: ' + selector);
 }
 
 /**
@@ -273,10 +549,11 @@ annotorious.modules.image.ImageAnnotator.prototype.setActiveSelector = function(
  * @param {boolean} enabled if <code>true</code> new annotations can be created
  */
 annotorious.modules.image.ImageAnnotator.prototype.setSelectionEnabled = function(enabled) {
-  this._selectionEnabled = enabled;
+  // Read-only items stay read-only
+  this._selectionEnabled = enabled && !this._readOnly;
   if (enabled) {
     // TODO if hint doesn't exist already, create
-  } else {
+  } else if (this._hint) {
     this._hint.destroy();
     delete this._hint;
   }
@@ -288,6 +565,11 @@ annotorious.modules.image.ImageAnnotator.prototype.setSelectionEnabled = functio
 annotorious.modules.image.ImageAnnotator.prototype.stopSelection = function(original_annotation) {
    goog.style.showElement(this._editCanvas, false);
    this._currentSelector.stopSelection();
+
+   if (this._editSelector) {
+     this._editSelector.stopSelection();
+     delete this._editSelector;
+   }
    
    // If this was an edit of an annotation (rather than creation of a new one) re-add to viewer!
    if (original_annotation)
@@ -304,3 +586,20 @@ annotorious.modules.image.ImageAnnotator.prototype.toItemCoordinates = function(
   var imgSize = goog.style.getSize(this._image);
   return { x: xy.x / imgSize.width, y: xy.y / imgSize.height };
 }
+
+/**
+ * Standard Annotator method: changes an annotation, updates its rendering and fires
+ * an ANNOTATION_UPDATED event. The change is recorded in the undo history. Since the
+ * change is not made by the user, BEFORE_ANNOTATION_UPDATED is not fired.
+ * @param {annotorious.annotation.Annotation} annotation the annotation
+ * @param {object} changes the properties to change (e.g. 'text' or 'shapes')
+ */
+annotorious.modules.image.ImageAnnotator.prototype.updateAnnotation = function(annotation, changes) {
+  var previous = annotorious.history.snapshot(annotation);
+  this._viewer.removeAnnotation(annotation);
+  annotorious.annotation.applyChanges(annotation, changes);
+  this._viewer.addAnnotation(annotation);
+
+  this._history.record(annotorious.history.OperationType.UPDATE, annotation, previous);
+  this.fireEvent(annotorious.events.EventType.ANNOTATION_UPDATED, { 'annotation': annotation, 'previous': previous });
+}
@@ -3,7 +3,13 @@ goog.provide('annotorious.modules.image.ImageModule');
 goog.require('goog.dom');
 goog.require('goog.array');
 goog.require('goog.events');
+goog.require('goog.events.KeyCodes');
+goog.require('goog.object');
+goog.require('goog.string');
+goog.require('goog.style');
 goog.require('goog.structs.Map');
+goog.require('goog.structs.Set');
+goog.require('annotorious.formats');
 
 /**
  * The Image Module scans the page for images marked with the
@@ -28,13 +34,28 @@ annotorious.modules.image.ImageModule = function() {
   this._imagesToLoad = [];
   
   /** @private **/
-  this._bufferedForAdding = [];
+  this._bufferedForAdding = new goog.structs.Map();
   
   /** @private **/
-  this._bufferedForRemoval = [];
+  this._bufferedForRemoval = new goog.structs.Map();
 
   /** @private **/
   this._isSelectionEnabled = true;
+
+  /** @private **/
+  this._storage;
+
+  /** @private **/
+  this._storedAnnotationIds = new goog.structs.Set();
+
+  /** @private **/
+  this._historyDepth = annotorious.history.DEFAULT_DEPTH;
+
+  /** @private **/
+  this._scrollListener;
+
+  /** @private **/
+  this._keyListener;
 }
   
 /**
@@ -51,11 +72,39 @@ annotorious.modules.image.ImageModule.prototype.init = function() {
   
   // Attach a listener to make images annotatable as they scroll into view
   var self = this;
-  var key = goog.events.listen(window, goog.events.EventType.SCROLL, function() {
-    if (self._imagesToLoad.length > 0)
+  this._scrollListener = goog.events.listen(window, goog.events.EventType.SCROLL, function() {
+    if (self._imagesToLoad.length > 0) {
       self._lazyLoad();
-    else
-      goog.events.unlistenByKey(key);
+    } else {
+      goog.events.unlistenByKey(self._scrollListener);
+      delete self._scrollListener;
+    }
+  });
+
+  // Ctrl+Z to undo, Ctrl+Shift+Z (or Ctrl+Y) to redo - except while typing in a form field or
+  // editable element, and while an annotation is being drawn or edited
+  this._keyListener = goog.events.listen(document, goog.events.EventType.KEYDOWN, function(event) {
+    if (!(event.ctrlKey || event.metaKey))
+      return;
+
+    var tagName = event.target.tagName;
+    if (tagName == 'TEXTAREA' || tagName == 'INPUT' || event.target.isContentEditable)
+      return;
+
+    var editing = goog.array.some(self._annotators.getValues(), function(annotator) {
+      return annotator.isEditing();
+    });
+    if (editing)
+      return;
+
+    if (event.keyCode == goog.events.KeyCodes.Z && !event.shiftKey) {
+      event.preventDefault();
+      self.undo();
+    } else if (event.keyCode == goog.events.KeyCodes.Y ||
+              (event.keyCode == goog.events.KeyCodes.Z && event.shiftKey)) {
+      event.preventDefault();
+      self.redo();
+    }
   });
 }
 
@@ -80,16 +129,18 @@ annotorious.modules.image.ImageModule.prototype._lazyLoad = function() {
 }
 
 /**
+ * @param {element} image the image
+ * @param {object} opt_options the per-item config options (optional)
  * @private
  */
-annotorious.modules.image.ImageModule.prototype._initAnnotator = function(image) {
-  // Keep track of changes
-  var addedAnnotations = [];
-  var removedAnnotations = [];
-
+annotorious.modules.image.ImageModule.prototype._initAnnotator = function(image, opt_options) {
   var self = this;
 
-  var annotator = new annotorious.modules.image.ImageAnnotator(image);
+  var options = annotorious.modules.image.ImageModule.getItemOptions(image, opt_options);
+  if (!goog.isDef(options['historyDepth']))
+    options['historyDepth'] = this._historyDepth;
+
+  var annotator = new annotorious.modules.image.ImageAnnotator(image, options);
   
   if (!this._isSelectionEnabled)
     annotator.setSelectionEnabled(false);
@@ -105,34 +156,131 @@ annotorious.modules.image.ImageModule.prototype._initAnnotator = function(image)
   goog.array.forEach(this._plugins, function(plugin) {
     self._initPlugin(plugin, annotator);
   });
+
+  // Forward annotation lifecycle events to the storage adapter (if any)
+  annotator.addHandler(annotorious.events.EventType.ANNOTATION_CREATED, function(annotation) {
+    self._storeAnnotation(annotation);
+  });
+
+  annotator.addHandler(annotorious.events.EventType.ANNOTATION_UPDATED, function(event) {
+    self._storeAnnotation(event['annotation']);
+  });
+
+  annotator.addHandler(annotorious.events.EventType.ANNOTATION_REMOVED, function(annotation) {
+    self._deleteAnnotation(annotation);
+  });
             
   // Cross-check with annotation add/remove buffers
-  goog.array.forEach(this._bufferedForAdding, function(annotation) {
+  goog.array.forEach(this._bufferedForAdding.getValues(), function(annotation) {
     if (annotation.src == image_src) {
       annotator.addAnnotation(annotation);
-      addedAnnotations.push(annotation);
+      self._bufferedForAdding.remove(annotation['id']);
     }
   });
       
-  goog.array.forEach(this._bufferedForRemoval, function(annotation) {
+  goog.array.forEach(this._bufferedForRemoval.getValues(), function(annotation) {
     if (annotation.src == image_src) {
       annotator.removeAnnotation(annotation);
-      removedAnnotations.push(annotation);
+      self._bufferedForRemoval.remove(annotation['id']);
     }
   });
-
-  // Apply changes
-  goog.array.forEach(addedAnnotations, function(annotation) {
-    goog.array.remove(self._bufferedForAdding, annotation);
-  });
-  
-  goog.array.forEach(removedAnnotations, function(annotation) {
-    goog.array.remove(self._bufferedForRemoval, annotation);
-  });
   
   // Update _annotators and _imagesToLoad lists
   this._annotators.set(image_src, annotator);
   goog.array.remove(this._imagesToLoad, image);
+
+  if (this._storage)
+    this._loadAnnotations(image_src);
+}
+
+/**
+ * Loads the annotations for the specified item from the storage adapter. Results that
+ * arrive after the adapter was replaced are ignored.
+ * @param {string} item_src the item URL
+ * @private
+ */
+annotorious.modules.image.ImageModule.prototype._loadAnnotations = function(item_src) {
+  var self = this;
+  var storage = this._storage;
+  storage.load(item_src).then(function(annotations) {
+    if (self._storage != storage)
+      return;
+
+    goog.array.forEach(annotations, function(annotation) {
+      self._storedAnnotationIds.add(annotorious.annotation.ensureId(annotation));
+      self.addAnnotation(annotation);
+    });
+  }, function(error) {
+    console.log('Could not load annotations for ' + item_src + ': ' + error);
+  });
+}
+
+/**
+ * Passes a created (or updated) annotation to the storage adapter. Annotations the
+ * storage adapter already knows about are updated rather than created.
+ * @param {Annotation} annotation the annotation
+ * @private
+ */
+annotorious.modules.image.ImageModule.prototype._storeAnnotation = function(annotation) {
+  if (!this._storage)
+    return;
+
+  var id = annotation['id'];
+  if (this._storedAnnotationIds.contains(id)) {
+    this._storage.update(annotation).then(undefined, function(error) {
+      console.log('Could not update annotation: ' + error);
+    });
+  } else {
+    this._storedAnnotationIds.add(id);
+    var self = this;
+    this._storage.create(annotation).then(undefined, function(error) {
+      self._storedAnnotationIds.remove(id);
+      console.log('Could not store annotation: ' + error);
+    });
+  }
+}
+
+/**
+ * Deletes a removed annotation from the storage adapter.
+ * @param {Annotation} annotation the annotation
+ * @private
+ */
+annotorious.modules.image.ImageModule.prototype._deleteAnnotation = function(annotation) {
+  if (!this._storage || !this._storedAnnotationIds.contains(annotation['id']))
+    return;
+
+  this._storedAnnotationIds.remove(annotation['id']);
+  this._storage['delete'](annotation).then(undefined, function(error) {
+    console.log('Could not delete annotation: ' + error);
+  });
+}
+
+/**
+ * Returns the history that holds the most recent operation, as determined by the
+ * specified time function - restricted to the item with the specified URL, if any.
+ * @param {string | undefined} item_url the URL of the item (optional)
+ * @param {function} timeFn function returning the relevant timestamp for a history
+ * @return {annotorious.history.History | undefined} the history
+ * @private
+ */
+annotorious.modules.image.ImageModule.prototype._getLatestHistory = function(item_url, timeFn) {
+  var histories;
+  if (item_url) {
+    var annotator = this._annotators.get(item_url);
+    histories = (annotator) ? [ annotator.getHistory() ] : [];
+  } else {
+    histories = goog.array.map(this._annotators.getValues(), function(annotator) {
+      return annotator.getHistory();
+    });
+  }
+
+  var latest;
+  goog.array.forEach(histories, function(history) {
+    var time = timeFn(history);
+    if (goog.isDef(time) && (!latest || time > timeFn(latest)))
+      latest = history;
+  });
+  return latest;
 }
 
 /**
@@ -149,6 +297,87 @@ annotorious.modules.image.ImageModule.getItemURL = function(image) {
     return image.src;
 }
 
+/**
+ * Returns information about an image: its item URL, the element, its size on the
+ * page and its natural (i.e. original pixel) size. For images that show a IIIF canvas
+ * (identified by the 'data-iiif-canvas' attribute), the information also includes
+ * the canvas URI and size. The canvas size defaults to the natural size of the image,
+ * unless the 'data-iiif-canvas-width' and 'data-iiif-canvas-height' attributes are set.
+ * @param {element} image the image
+ * @returns {object} the item information
+ * @private
+ */
+annotorious.modules.image.ImageModule.getItemInfo = function(image) {
+  var size = goog.style.getSize(image);
+  var canvasWidth = parseInt(image.getAttribute('data-iiif-canvas-width'), 10);
+  var canvasHeight = parseInt(image.getAttribute('data-iiif-canvas-height'), 10);
+  return {
+    src: annotorious.modules.image.ImageModule.getItemURL(image),
+    element: image,
+    width: size.width,
+    height: size.height,
+    naturalWidth: image.naturalWidth,
+    naturalHeight: image.naturalHeight,
+    canvas: image.getAttribute('data-iiif-canvas'),
+    canvasWidth: (canvasWidth > 0) ? canvasWidth : image.naturalWidth,
+    canvasHeight: (canvasHeight > 0) ? canvasHeight : image.naturalHeight
+  };
+}
+
+/**
+ * Per-item config options can be defined through data-* attributes on the image:
+ * data-selector, data-selectors (comma-separated list), data-readonly, data-hint ('false'
+ * hides the hint), data-popup ('hover' or 'none'), data-snippet (shows a snippet of the
+ * annotated region in the popup) and data-outline-color, data-stroke-color and
+ * data-highlight-color. This utility function reads them, with options passed through
+ * the API taking precedence.
+ * @param {element} image the image
+ * @param {object} opt_options the options passed through the API (optional)
+ * @returns {object} the merged options
+ * @private
+ */
+annotorious.modules.image.ImageModule.getItemOptions = function(image, opt_options) {
+  var options = {};
+
+  var selector = image.getAttribute('data-selector');
+  if (selector)
+    options['selector'] = goog.string.trim(selector);
+
+  var selectors = image.getAttribute('data-selectors');
+  if (selectors)
+    options['selectors'] = goog.array.map(selectors.split(','), goog.string.trim);
+
+  var readOnly = image.getAttribute('data-readonly');
+  if (goog.isString(readOnly))
+    options['readOnly'] = readOnly != 'false';
+
+  var hint = image.getAttribute('data-hint');
+  if (hint)
+    options['hint'] = hint != 'false';
+
+  var popup = image.getAttribute('data-popup');
+  if (popup)
+    options['popup'] = popup;
+
+  var snippet = image.getAttribute('data-snippet');
+  if (goog.isString(snippet))
+    options['snippet'] = snippet != 'false';
+
+  var style = {};
+  goog.array.forEach(['outline', 'stroke', 'highlight'], function(key) {
+    var color = image.getAttribute('data-' + key + '-color');
+    if (color)
+      style[key] = color;
+  });
+  if (!goog.object.isEmpty(style))
+    options['style'] = style;
+
+  if (opt_options)
+    goog.object.extend(options, opt_options);
+
+  return options;
+}
+
 /**
  * Standard module method: adds an annotation.
  * @param {Annotation} the annotation
@@ -160,9 +389,9 @@ annotorious.modules.image.ImageModule.prototype.addAnnotation = function(annotat
     if (annotator) {
       annotator.addAnnotation(annotation, opt_replace)
     } else {
-      this._bufferedForAdding.push(annotation);
       if (opt_replace)
-        goog.array.remove(this._bufferedForAdding, opt_replace);
+        this._bufferedForAdding.remove(opt_replace['id']);
+      this._bufferedForAdding.set(annotorious.annotation.ensureId(annotation), annotation);
     }
   }
 }
@@ -211,6 +440,34 @@ annotorious.modules.image.ImageModule.prototype.annotatesItem = function(item_ur
   }
 }
 
+/**
+ * Standard module method: destroys the module. All images are made unannotatable,
+ * and all listeners, handlers, plugins and buffered annotations are discarded.
+ */
+annotorious.modules.image.ImageModule.prototype.destroy = function() {
+  var self = this;
+  goog.array.forEach(goog.array.clone(this._allImages), function(image) {
+    self.makeUnannotatable(image);
+  });
+
+  if (this._scrollListener) {
+    goog.events.unlistenByKey(this._scrollListener);
+    delete this._scrollListener;
+  }
+
+  if (this._keyListener) {
+    goog.events.unlistenByKey(this._keyListener);
+    delete this._keyListener;
+  }
+
+  this._eventHandlers = [];
+  this._plugins = [];
+  this._bufferedForAdding.clear();
+  this._bufferedForRemoval.clear();
+  this._storedAnnotationIds.clear();
+  delete this._storage;
+}
+
 /**
  * Returns the name of the selector that is currently activated on a 
  * particular item.
@@ -236,7 +493,7 @@ annotorious.modules.image.ImageModule.prototype.getAnnotations = function(opt_it
     if (annotator) {
       return annotator.getAnnotations();
     } else {
-      return goog.array.filter(this._bufferedForAdding, function(annotation) {
+      return goog.array.filter(this._bufferedForAdding.getValues(), function(annotation) {
         return annotation.src == opt_item_url;
       });
     }
@@ -245,11 +502,29 @@ annotorious.modules.image.ImageModule.prototype.getAnnotations = function(opt_it
     goog.array.forEach(this._annotators.getValues(), function(annotator) {
       goog.array.extend(annotations, annotator.getAnnotations());
     });
-    goog.array.extend(annotations, this._bufferedForAdding);
+    goog.array.extend(annotations, this._bufferedForAdding.getValues());
     return annotations;
   }
 }
 
+/**
+ * Standard module method: returns the annotation with the specified ID.
+ * @param {string} id the annotation ID
+ * @return {Annotation | undefined} the annotation, or undefined if there is none with this ID
+ */
+annotorious.modules.image.ImageModule.prototype.getAnnotationById = function(id) {
+  var annotation = this._bufferedForAdding.get(id);
+  if (annotation)
+    return annotation;
+
+  var annotators = this._annotators.getValues();
+  for (var i=0; i<annotators.length; i++) {
+    annotation = annotators[i].getAnnotationById(id);
+    if (annotation)
+      return annotation;
+  }
+}
+
 /**
  * Returns the list of available shape selectors for a particular item.
  * @param {string} the URL of the item to query for available selectors
@@ -266,6 +541,36 @@ annotorious.modules.image.ImageModule.prototype.getAvailableSelectors = function
   }
 }
 
+/**
+ * Standard module method: returns information about the item with the specified URL
+ * (item URL, element, size and natural size). Images can also be looked up by the URI
+ * of the IIIF canvas they show.
+ * @param {string} item_url the URL of the item, or the IIIF canvas URI
+ * @returns {object | undefined} the item information, or undefined if there is no such item
+ */
+annotorious.modules.image.ImageModule.prototype.getItem = function(item_url) {
+  var image = goog.array.find(this._allImages, function(image) {
+    return annotorious.modules.image.ImageModule.getItemURL(image) == item_url ||
+      image.getAttribute('data-iiif-canvas') == item_url;
+  });
+
+  if (image)
+    return annotorious.modules.image.ImageModule.getItemInfo(image);
+}
+
+/**
+ * Standard module method: crops the region of an annotation out of its image.
+ * @param {Annotation} annotation the annotation
+ * @param {object} opt_options snippet options (optional - see ImageAnnotator)
+ * @returns {string | undefined} the snippet as data URL, or undefined if the image has not
+ * been initialized yet
+ */
+annotorious.modules.image.ImageModule.prototype.getSnippet = function(annotation, opt_options) {
+  var annotator = this._annotators.get(annotation.src);
+  if (annotator)
+    return annotator.getSnippet(annotation, opt_options);
+}
+
 /**
  * Standard module method: highlights the specified annotation.
  * @param {Annotation} annotation the annotation
@@ -284,15 +589,73 @@ annotorious.modules.image.ImageModule.prototype.highlightAnnotation = function(a
   }
 }
 
+/**
+ * Standard module method: adds an imported annotation. Unlike addAnnotation, this treats
+ * the annotation as newly created: it is passed to the storage adapter (if any), and - if
+ * the image is already initialized - ANNOTATION_CREATED is fired and the operation is
+ * recorded in the image's history.
+ * @param {Annotation} annotation the annotation
+ */
+annotorious.modules.image.ImageModule.prototype.importAnnotation = function(annotation) {
+  if (!this.annotatesItem(annotation.src))
+    return;
+
+  this.addAnnotation(annotation);
+  var annotator = this._annotators.get(annotation.src);
+  if (annotator) {
+    annotator.fireEvent(annotorious.events.EventType.ANNOTATION_CREATED, annotation);
+    annotator.getHistory().record(annotorious.history.OperationType.CREATE, annotation);
+  } else {
+    this._storeAnnotation(annotation);
+  }
+}
+
 /**
  * Makes an item annotatable, if it is an image.
  * @param {object} the annotatable image
+ * @param {object} opt_options per-item config options (optional - see ImageAnnotator)
  */
-annotorious.modules.image.ImageModule.prototype.makeAnnotatable = function(item) {
+annotorious.modules.image.ImageModule.prototype.makeAnnotatable = function(item, opt_options) {
   if (this.supports(item)) {
     this._allImages.push(item);
-    this._initAnnotator(item);
+    this._initAnnotator(item, opt_options);
+  }
+}
+
+/**
+ * Standard module method: removes annotation functionality from an image, restoring
+ * the original image element. Plugins are notified through onDestroyAnnotator.
+ * @param {object} item the image
+ */
+annotorious.modules.image.ImageModule.prototype.makeUnannotatable = function(item) {
+  var image_src = annotorious.modules.image.ImageModule.getItemURL(item);
+  var annotator = this._annotators.get(image_src);
+  if (annotator) {
+    goog.array.forEach(this._plugins, function(plugin) {
+      if (plugin.onDestroyAnnotator)
+        plugin.onDestroyAnnotator(annotator);
+    });
+
+    annotator.destroy();
+    this._annotators.remove(image_src);
   }
+
+  goog.array.remove(this._allImages, item);
+  goog.array.remove(this._imagesToLoad, item);
+}
+
+/**
+ * Standard module method: redoes the last undone operation on the item with the
+ * specified URL, or the last undone operation on any item, in case no URL is specified.
+ * @param {string | undefined} opt_item_url the URL of the item (optional)
+ */
+annotorious.modules.image.ImageModule.prototype.redo = function(opt_item_url) {
+  var history = this._getLatestHistory(opt_item_url, function(history) {
+    return history.getRedoTime();
+  });
+
+  if (history)
+    history.redo();
 }
 
 /**
@@ -305,11 +668,44 @@ annotorious.modules.image.ImageModule.prototype.removeAnnotation = function(anno
     var annotator = this._annotators.get(annotation.src);
     if (annotator)
       annotator.removeAnnotation(annotation);
+    else if (this._bufferedForAdding.containsKey(annotation['id']))
+      this._bufferedForAdding.remove(annotation['id']);
     else
-      this._bufferedForRemoval.push(annotation);
+      this._bufferedForRemoval.set(annotorious.annotation.ensureId(annotation), annotation);
   }
 }
 
+/**
+ * Standard module method: renders an image with its annotations to a PNG (or other)
+ * image at natural resolution.
+ * @param {string} item_url the URL of the image
+ * @param {object} opt_options rendering options (optional - see ImageAnnotator)
+ * @returns {string | Promise | undefined} the data URL or a promise for a Blob, or undefined if
+ * the image has not been initialized yet, or its size is not known
+ */
+annotorious.modules.image.ImageModule.prototype.renderToImage = function(item_url, opt_options) {
+  var annotator = this._annotators.get(item_url);
+  if (!annotator)
+    return undefined;
+
+  var item = annotator.getItem();
+  if (!annotorious.formats.hasNaturalSize(item)) {
+    console.log('Could not render image - image size not known');
+    return undefined;
+  }
+
+  var regions = [];
+  goog.array.forEach(annotator.getAnnotations(), function(annotation) {
+    var shape = annotorious.formats.toNaturalPixels(annotation['shapes'][0], item);
+    if (shape)
+      regions.push({ 'annotation': annotation, 'shape': shape, 'text': annotorious.formats.toPlainText(annotation.text) });
+    else
+      console.log('Could not render annotation ' + annotation['id']);
+  });
+
+  return annotator.renderToImage(regions, opt_options);
+}
+
 /**
  * Standard module method: sets a specific selector on a particular item.
  * @param {string} the URL of the item on which to set the selector
@@ -323,6 +719,17 @@ annotorious.modules.image.ImageModule.prototype.setActiveSelector = function(ite
   }
 }
 
+/**
+ * Standard module method: sets the maximum number of undoable operations per item.
+ * @param {number} depth the history depth
+ */
+annotorious.modules.image.ImageModule.prototype.setHistoryDepth = function(depth) {
+  this._historyDepth = depth;
+  goog.array.forEach(this._annotators.getValues(), function(annotator) {
+    annotator.getHistory().setDepth(depth);
+  });
+}
+
 /**
  * Standard module method: enables (or disables) the ability to create new annotations
  * on an annotatable image.
@@ -335,6 +742,38 @@ annotorious.modules.image.ImageModule.prototype.setSelectionEnabled = function(e
   });
 }
 
+/**
+ * Standard module method: sets the storage adapter. Annotations for all images
+ * that are already annotatable are loaded immediately; images that become annotatable
+ * later load their annotations on initialization. When switching adapters, the
+ * annotations loaded from the previous adapter are removed first. Passing null
+ * detaches the adapter.
+ * @param {StorageAdapter | null} storage the storage adapter
+ */
+annotorious.modules.image.ImageModule.prototype.setStorage = function(storage) {
+  if (storage == this._storage)
+    return;
+
+  var self = this;
+  if (this._storage) {
+    goog.array.forEach(this._annotators.getValues(), function(annotator) {
+      goog.array.forEach(goog.array.clone(annotator.getAnnotations()), function(annotation) {
+        if (self._storedAnnotationIds.contains(annotation['id']))
+          annotator.removeAnnotation(annotation);
+      });
+    });
+    this._storedAnnotationIds.clear();
+  }
+
+  this._storage = storage;
+  if (!storage)
+    return;
+
+  goog.array.forEach(this._annotators.getKeys(), function(item_src) {
+    self._loadAnnotations(item_src);
+  });
+}
+
 /**
  * Standard module method: tests if this module is able to support annotation on the
  * specified item.
@@ -348,3 +787,45 @@ annotorious.modules.image.ImageModule.prototype.supports = function(item) {
     return false;
 }
 
+/**
+ * Standard module method: undoes the last operation on the item with the specified URL,
+ * or the last operation on any item, in case no URL is specified.
+ * @param {string | undefined} opt_item_url the URL of the item (optional)
+ */
+annotorious.modules.image.ImageModule.prototype.undo = function(opt_item_url) {
+  var history = this._getLatestHistory(opt_item_url, function(history) {
+    return history.getUndoTime();
+  });
+
+  if (history)
+    history.undo();
+}
+
+/**
+ * Standard module method: changes an annotation and updates its rendering. Annotations
+ * on images that are not yet loaded are changed in place. Either way, ANNOTATION_UPDATED
+ * is fired and the change is passed to the storage adapter (if any). Programmatic
+ * updates are not subject to BEFORE_ANNOTATION_UPDATED handlers, which only vet edits
+ * made by the user.
+ * @param {Annotation} annotation the annotation
+ * @param {object} changes the properties to change (e.g. 'text' or 'shapes')
+ */
+annotorious.modules.image.ImageModule.prototype.updateAnnotation = function(annotation, changes) {
+  if (this.annotatesItem(annotation.src)) {
+    var annotator = this._annotators.get(annotation.src);
+    if (annotator) {
+      annotator.updateAnnotation(annotation, changes);
+    } else {
+      var previous = annotorious.history.snapshot(annotation);
+      annotorious.annotation.applyChanges(annotation, changes);
+
+      // No annotator yet that could fire the event - call the registered handlers directly
+      var event = { 'annotation': annotation, 'previous': previous };
+      goog.array.forEach(this._eventHandlers, function(eventHandler) {
+        if (eventHandler.type == annotorious.events.EventType.ANNOTATION_UPDATED)
+          eventHandler.handler(event);
+      });
+      this._storeAnnotation(annotation);
+    }
+  }
+}
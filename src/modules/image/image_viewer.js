@@ -4,6 +4,7 @@ var humanEvents;
 goog.provide('annotorious.modules.image.Viewer');
 
 goog.require('goog.soy');
+goog.require('goog.array');
 goog.require('goog.events');
 goog.require('goog.dom.classes');
 goog.require('goog.dom.query');
@@ -15,9 +16,10 @@ humanEvents = annotorious.humanEvents;
  * @param {element} canvas the canvas element 
  * @param {annotorious.viewer.Popup} the popup to use in this viewer
  * @param {annotorious.modules.image.ImageAnnotator} annotator reference to the annotator
+ * @param {object} opt_style the shape style, passed on to the selectors' drawShape method (optional)
  * @constructor
  */
-annotorious.modules.image.Viewer = function(canvas, popup, annotator) {
+annotorious.modules.image.Viewer = function(canvas, popup, annotator, opt_style) {
   /** @private **/
   this._canvas = canvas;
 
@@ -27,11 +29,14 @@ annotorious.modules.image.Viewer = function(canvas, popup, annotator) {
   /** @private **/
   this._annotator = annotator;
 
+  /** @private **/
+  this._style = (opt_style) ? opt_style : {};
+
   /** @private **/
   this._annotations = [];
 
   /** @private **/
-  this._shapes = [];
+  this._shapes = {};
 
   /** @private **/
   this._g2d = this._canvas.getContext('2d');
@@ -48,17 +53,20 @@ annotorious.modules.image.Viewer = function(canvas, popup, annotator) {
   /** @private **/
   this._keepHighlighted = false;
 
+  /** @private **/
+  this._listenerKeys = [];
+
   var self = this;
      
      
      
-  goog.events.listen(this._canvas, humanEvents.MOVE, function(event) {
+  this._listenerKeys.push(goog.events.listen(this._canvas, humanEvents.MOVE, function(event) {
     if (self._eventsEnabled) {
       self._onMouseMove(event);
     } else {
       self._cachedMouseEvent = event;
     }
-  });
+  }));
 
   annotator.addHandler(annotorious.events.EventType.MOUSE_OUT_OF_ANNOTATABLE_ITEM, function(event) {
     delete self._currentAnnotation;
@@ -100,7 +108,7 @@ annotorious.modules.image.Viewer = function(canvas, popup, annotator) {
 };
 
 /**
- * Adds an annotation to the viewer.
+ * Adds an annotation to the viewer. Annotations without an ID are assigned one.
  * @param {annotorious.annotation.Annotation} the annotation
  * @param {Annotation} opt_replace optionally, an existing annotation to replace
  */
@@ -111,22 +119,12 @@ annotorious.modules.image.Viewer.prototype.addAnnotation = function(annotation,
       delete this._currentAnnotation;
    
       goog.array.remove(this._annotations, opt_replace);
-      delete this._shapes[annotorious.shape.hashCode(opt_replace["shapes"][0])];
+      delete this._shapes[opt_replace['id']];
   }
 
+  annotorious.annotation.ensureId(annotation);
   this._annotations.push(annotation);
-  // The viewer always operates in pixel coordinates for efficiency reasons
-  var shape = annotation["shapes"][0];
-  if (shape.units == annotorious.shape.Units.PIXEL) {
-    this._shapes[annotorious.shape.hashCode(annotation["shapes"][0])] = shape;     
-  } else {
-    var self = this;
-    var viewportShape = annotorious.shape.transform(shape, function(xy) {
-      return self._annotator.fromItemCoordinates(xy); 
-    });
-    this._shapes[annotorious.shape.hashCode(annotation["shapes"][0])] = viewportShape;
-  }
-
+  this._shapes[annotation['id']] = this._toViewportShape(annotation);
   this._redraw();
 }
 
@@ -135,14 +133,80 @@ annotorious.modules.image.Viewer.prototype.addAnnotation = function(annotation,
  * @param {annotorious.annotation.Annotation} the annotation
  */
 annotorious.modules.image.Viewer.prototype.removeAnnotation = function(annotation) {
-  if (annotation == this._currentAnnotation)
+  var id = annotation['id'];
+  if (this._currentAnnotation && this._currentAnnotation['id'] == id)
     delete this._currentAnnotation;
 
-  goog.array.remove(this._annotations, annotation);
-  delete this._shapes[annotorious.shape.hashCode(annotation["shapes"][0])];
+  goog.array.removeIf(this._annotations, function(a) {
+    return a['id'] == id;
+  });
+  delete this._shapes[id];
   this._redraw();
 };
 
+/**
+ * Returns the annotation with the specified ID.
+ * @param {string} id the annotation ID
+ * @return {Annotation | undefined} the annotation, or undefined if there is none with this ID
+ */
+annotorious.modules.image.Viewer.prototype.getAnnotationById = function(id) {
+  return goog.array.find(this._annotations, function(annotation) {
+    return annotation['id'] == id;
+  });
+};
+
+/**
+ * Converts the (first) shape of an annotation to viewport coordinates. (The viewer
+ * always operates in pixel coordinates for efficiency reasons.)
+ * @param {Annotation} annotation the annotation
+ * @return {annotorious.shape.Shape} the shape in viewport coordinates
+ * @private
+ */
+annotorious.modules.image.Viewer.prototype._toViewportShape = function(annotation) {
+  var shape = annotation["shapes"][0];
+  if (shape.units == annotorious.shape.Units.PIXEL)
+    return shape;
+
+  var self = this;
+  return annotorious.shape.transform(shape, function(xy) {
+    return self._annotator.fromItemCoordinates(xy); 
+  });
+};
+
+/**
+ * Returns the cached viewport shape of an annotation. If the annotation's ID was
+ * changed from outside since it was added (e.g. by an external store assigning its 
+ * own IDs), the shape is re-cached under the new ID, and the entry under the old ID
+ * is dropped.
+ * @param {Annotation} annotation the annotation
+ * @return {annotorious.shape.Shape} the shape in viewport coordinates
+ * @private
+ */
+annotorious.modules.image.Viewer.prototype._getShape = function(annotation) {
+  var shape = this._shapes[annotation['id']];
+  if (!shape) {
+    var ids = goog.array.map(this._annotations, function(a) { return String(a['id']); });
+    for (var id in this._shapes) {
+      if (!goog.array.contains(ids, id))
+        delete this._shapes[id];
+    }
+
+    shape = this._toViewportShape(annotation);
+    this._shapes[annotorious.annotation.ensureId(annotation)] = shape;
+  }
+  return shape;
+};
+
+/**
+ * Destroys the viewer, detaching its listeners from the canvas.
+ */
+annotorious.modules.image.Viewer.prototype.destroy = function() {
+  goog.array.forEach(this._listenerKeys, function(key) {
+    goog.events.unlistenByKey(key);
+  });
+  this._listenerKeys = [];
+};
+
 /**
  * Returns all annotations in this viewer.
  * @return {Array.<Annotation>} the annotations
@@ -175,6 +239,14 @@ annotorious.modules.image.Viewer.prototype.getHighlightedAnnotation = function()
   return this._currentAnnotation;
 };
 
+/**
+ * Returns the style the viewer draws shapes with.
+ * @returns {object | undefined} the style ('outline', 'stroke' and 'highlight' colors), if any
+ */
+annotorious.modules.image.Viewer.prototype.getStyle = function() {
+  return this._style;
+};
+
 /**
  * Convenience method returing only the top-most annotation at the specified coordinates.
  * @param {number} px the X coordinate
@@ -203,7 +275,7 @@ annotorious.modules.image.Viewer.prototype.annotationsAt = function(px, py) {
   var self = this;
 
   goog.array.forEach(this._annotations, function(annotation) {
-    if (annotorious.shape.intersects(self._shapes[annotorious.shape.hashCode(annotation["shapes"][0])], px, py)) {
+    if (annotorious.shape.intersects(self._getShape(annotation), px, py)) {
       intersectedAnnotations.push(annotation);
     }
   });
@@ -252,12 +324,9 @@ annotorious.modules.image.Viewer.prototype._onMouseMove = function(event) {
  * @private
  */
 annotorious.modules.image.Viewer.prototype._draw = function(shape, highlight) {
-  var selector = goog.array.find(this._annotator.getAvailableSelectors(), function(selector) {
-    return selector.getSupportedShapeType() == shape.type;
-  });  
-
+  var selector = this._annotator.getSelectorForShapeType(shape.type);
   if (selector) {
-    selector.drawShape(this._g2d, shape, highlight);
+    selector.drawShape(this._g2d, shape, highlight, this._style);
   } else {
     console.log('WARNING unsupported shape type: ' + shape.type);
   }
@@ -271,11 +340,11 @@ annotorious.modules.image.Viewer.prototype._redraw = function() {
   
   var self = this;
   goog.array.forEach(this._annotations, function(annotation) {
-    self._draw(self._shapes[annotorious.shape.hashCode(annotation["shapes"][0])]);
+    self._draw(self._getShape(annotation));
   });
 
   if (this._currentAnnotation) {
-    var shape = this._shapes[annotorious.shape.hashCode(this._currentAnnotation["shapes"][0])];
+    var shape = this._getShape(this._currentAnnotation);
     this._draw(shape, true);
     var bbox = annotorious.shape.getBoundingRect(shape);
     this._popup.show(this._currentAnnotation, { x: bbox.x, y: bbox.y + bbox.height + 5 });
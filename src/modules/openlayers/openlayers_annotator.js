@@ -1,6 +1,8 @@
 goog.provide('annotorious.modules.openlayers.OpenLayersAnnotator');
 
+goog.require('goog.array');
 goog.require('goog.dom');
+goog.require('goog.events');
 goog.require('goog.style');
 
 /**
@@ -21,12 +23,21 @@ annotorious.modules.openlayers.OpenLayersAnnotator = function(map) {
   
   /** @private **/
   this._eventBroker = new annotorious.events.EventBroker();
+
+  /** @private **/
+  this._history = new annotorious.history.History(this);
   
+  /** @private **/
+  this._listenerKeys = [];
+
   var annotationLayer = goog.dom.createDom('div', 'annotorious-annotationlayer');
   goog.style.setStyle(annotationLayer, 'position', 'relative');
   goog.style.setSize(annotationLayer, width, height); 
   goog.dom.replaceNode(annotationLayer, this._div);
   goog.dom.appendChild(annotationLayer, this._div);
+
+  /** @private **/
+  this._annotationLayer = annotationLayer;
     
   var hint = goog.soy.renderAsElement(annotorious.templates.image.hint, {msg:'Press and Hold CTRL to Annotate'});
   goog.style.setStyle(hint, 'z-index', 9998);
@@ -59,24 +70,24 @@ annotorious.modules.openlayers.OpenLayersAnnotator = function(map) {
   goog.style.setStyle(this._editor.element, 'z-index', 10000);
 
   var self = this;  
-  goog.events.listen(annotationLayer, goog.events.EventType.MOUSEOVER, function(event) {
+  this._listenerKeys.push(goog.events.listen(annotationLayer, goog.events.EventType.MOUSEOVER, function(event) {
     var relatedTarget = event.relatedTarget;
     if (!relatedTarget || !goog.dom.contains(annotationLayer, relatedTarget)) {
       self._eventBroker.fireEvent(annotorious.events.EventType.MOUSE_OVER_ANNOTATABLE_ITEM);
       goog.style.setOpacity(hint, 0.8); 
     }
-  });
+  }));
   
-  goog.events.listen(annotationLayer, goog.events.EventType.MOUSEOUT, function(event) {
+  this._listenerKeys.push(goog.events.listen(annotationLayer, goog.events.EventType.MOUSEOUT, function(event) {
     var relatedTarget = event.relatedTarget;
     if (!relatedTarget || !goog.dom.contains(annotationLayer, relatedTarget)) {
       self._eventBroker.fireEvent(annotorious.events.EventType.MOUSE_OUT_OF_ANNOTATABLE_ITEM);
       goog.style.setOpacity(hint, 0);
     }
-  });
+  }));
   
   var isCtrlKeyDown = false;
-  goog.events.listen(document, goog.events.EventType.KEYDOWN, function(event) {
+  this._listenerKeys.push(goog.events.listen(document, goog.events.EventType.KEYDOWN, function(event) {
     if (event.keyCode == 17) {
       isCtrlKeyDown = true;
       goog.style.setOpacity(hint, 0);
@@ -85,19 +96,19 @@ annotorious.modules.openlayers.OpenLayersAnnotator = function(map) {
         goog.style.setOpacity(secondaryHint, 0);
       }, 2000);
     }
-  });
+  }));
   
-  goog.events.listen(document, goog.events.EventType.KEYUP, function(event) {
+  this._listenerKeys.push(goog.events.listen(document, goog.events.EventType.KEYUP, function(event) {
     isCtrlKeyDown = false;
-  });
+  }));
   
-  goog.events.listen(this._div, goog.events.EventType.MOUSEDOWN, function(event) {
+  this._listenerKeys.push(goog.events.listen(this._div, goog.events.EventType.MOUSEDOWN, function(event) {
     if (isCtrlKeyDown) {
       goog.style.showElement(self._editCanvas, true);
       //self._viewer.highlightAnnotation(undefined);
       self._selector.startSelection(event.clientX, event.clientY);
     }
-  });
+  }));
   
   this._eventBroker.addHandler(annotorious.events.EventType.SELECTION_COMPLETED, function(event) {
     var bounds = event.viewportBounds;
@@ -111,6 +122,24 @@ annotorious.modules.openlayers.OpenLayersAnnotator = function(map) {
   });
 }
 
+/**
+ * Standard Annotator method: destroys this annotator, removing its markers, popup,
+ * editor and listeners, and restoring the original map DIV.
+ */
+annotorious.modules.openlayers.OpenLayersAnnotator.prototype.destroy = function() {
+  goog.array.forEach(this._listenerKeys, function(key) {
+    goog.events.unlistenByKey(key);
+  });
+  this._listenerKeys = [];
+
+  this.stopSelection();
+  this._viewer.destroy();
+  this._popup.destroy();
+  this._editor.destroy();
+
+  goog.dom.replaceNode(this._div, this._annotationLayer);
+}
+
 annotorious.modules.openlayers.OpenLayersAnnotator.prototype.stopSelection = function() {
    goog.style.showElement(this._editCanvas, false);
    this._selector.stopSelection();
@@ -124,9 +153,41 @@ annotorious.modules.openlayers.OpenLayersAnnotator.prototype.fireEvent = functio
   this._eventBroker.fireEvent(type, event);
 }
 
-annotorious.modules.openlayers.OpenLayersAnnotator.prototype.getImage = function() {
-  // TODO implement something decent!
-  return {src: "map://openlayers/something"};
+annotorious.modules.openlayers.OpenLayersAnnotator.prototype.fireCancellableEvent = function(type, event) {
+  return this._eventBroker.fireCancellableEvent(type, event);
+}
+
+annotorious.modules.openlayers.OpenLayersAnnotator.prototype.getHistory = function() {
+  return this._history;
+}
+
+annotorious.modules.openlayers.OpenLayersAnnotator.prototype.getAnnotations = function() {
+  return this._viewer.getAnnotations();
+}
+
+/**
+ * Standard Annotator method: returns information about the map this annotator is
+ * responsible for. Besides 'src' and 'element', this includes the code of the map
+ * projection, and functions to convert item (i.e. map) coordinates to and from
+ * EPSG:4326 longitude/latitude.
+ * @returns {object} the item information
+ */
+annotorious.modules.openlayers.OpenLayersAnnotator.prototype.getItem = function() {
+  var projection = this._map.getProjectionObject();
+  var wgs84 = new OpenLayers.Projection('EPSG:4326');
+  return {
+    src: annotorious.modules.openlayers.OpenLayersModule.getItemURL(this._map),
+    element: this._div,
+    projection: projection.getCode(),
+    toLonLat: function(xy) {
+      var point = OpenLayers.Projection.transform({ x: xy.x, y: xy.y }, projection, wgs84);
+      return { x: point.x, y: point.y };
+    },
+    fromLonLat: function(xy) {
+      var point = OpenLayers.Projection.transform({ x: xy.x, y: xy.y }, wgs84, projection);
+      return { x: point.x, y: point.y };
+    }
+  };
 }
 
 annotorious.modules.openlayers.OpenLayersAnnotator.prototype.toItemCoordinates = function(pxCoords) {
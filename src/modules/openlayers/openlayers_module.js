@@ -1,5 +1,6 @@
 goog.provide('annotorious.modules.openlayers.OpenLayersModule');
 
+goog.require('goog.array');
 goog.require('goog.structs.Map');
 
 /**
@@ -20,13 +21,29 @@ annotorious.modules.openlayers.OpenLayersModule = function() {
   /** @private **/
   this._maps = [];
 }
+
+/**
+ * Returns the identifier used as 'src' for the annotations on a map: a 'map://openlayers/'
+ * URI, followed by the ID of the map's DIV element (or the map ID, if the DIV has no ID).
+ * @param {OpenLayers.Map} map the map
+ * @returns {string} the item URL
+ */
+annotorious.modules.openlayers.OpenLayersModule.getItemURL = function(map) {
+  return 'map://openlayers/' + ((map.div.id) ? map.div.id : map.id);
+}
   
 annotorious.modules.openlayers.OpenLayersModule.prototype.init = function() {
 
 }
 
+/**
+ * Standard module method: adds an annotation to the map it belongs to.
+ * @param {Annotation} annotation the annotation
+ */
 annotorious.modules.openlayers.OpenLayersModule.prototype.addAnnotation = function(annotation) {
-    
+  var annotator = this._annotators.get(annotation.src);
+  if (annotator)
+    annotator.addAnnotation(annotation);
 }
 
 annotorious.modules.openlayers.OpenLayersModule.prototype.addHandler = function(type, handler) {
@@ -37,12 +54,67 @@ annotorious.modules.openlayers.OpenLayersModule.prototype.addPlugin = function(p
     
 }
 
-annotorious.modules.openlayers.OpenLayersModule.prototype.annotatesItem = function(item) {
+/**
+ * Standard module method: tests if this module is in charge of managing the
+ * map with the specified item URL.
+ * @param {string} item_url the item URL
+ * @returns {boolean} true if this module is in charge of the map
+ */
+annotorious.modules.openlayers.OpenLayersModule.prototype.annotatesItem = function(item_url) {
+  return this._annotators.containsKey(item_url);
+}
+
+/**
+ * Standard module method: destroys the module. All maps are made unannotatable,
+ * and all handlers and plugins are discarded.
+ */
+annotorious.modules.openlayers.OpenLayersModule.prototype.destroy = function() {
+  var self = this;
+  goog.array.forEach(goog.array.clone(this._maps), function(map) {
+    self.makeUnannotatable(map);
+  });
+
+  this._eventHandlers = [];
+  this._plugins = [];
+}
+
+annotorious.modules.openlayers.OpenLayersModule.prototype.getAnnotationById = function(id) {
     
 }
 
+/**
+ * Standard module method: returns all annotations on the map with the specified item URL,
+ * or all annotations on all maps, if no URL is specified.
+ * @param {string | undefined} opt_item_url the item URL (optional)
+ * @returns {Array.<Annotation>} the annotations
+ */
 annotorious.modules.openlayers.OpenLayersModule.prototype.getAnnotations = function(opt_item_url) {
-    
+  if (opt_item_url) {
+    var annotator = this._annotators.get(opt_item_url);
+    return (annotator) ? annotator.getAnnotations() : [];
+  } else {
+    var annotations = [];
+    goog.array.forEach(this._annotators.getValues(), function(annotator) {
+      goog.array.extend(annotations, annotator.getAnnotations());
+    });
+    return annotations;
+  }
+}
+
+/**
+ * Standard module method: returns information about the map with the specified item URL.
+ * @param {string} item_url the item URL
+ * @returns {object | undefined} the item information, or undefined if this module does not
+ * manage the map
+ */
+annotorious.modules.openlayers.OpenLayersModule.prototype.getItem = function(item_url) {
+  var annotator = this._annotators.get(item_url);
+  if (annotator)
+    return annotator.getItem();
+}
+
+annotorious.modules.openlayers.OpenLayersModule.prototype.getSnippet = function(annotation, opt_options) {
+
 }
 
 annotorious.modules.openlayers.OpenLayersModule.prototype.makeAnnotatable = function(item) {
@@ -62,9 +134,28 @@ annotorious.modules.openlayers.OpenLayersModule.prototype.makeAnnotatable = func
       plugin.onInitEditor(annotator.getEditor());
   });
     
-  // TODO how do we identify a map in a unique way?
-  this._annotators.set(map.id, annotator);
-  this._maps.push(map);  
+  this._annotators.set(annotorious.modules.openlayers.OpenLayersModule.getItemURL(item), annotator);
+  this._maps.push(item);  
+}
+
+/**
+ * Standard module method: removes annotation functionality from a map, removing the
+ * annotation markers and restoring the original map DIV.
+ * @param {OpenLayers.Map} item the map
+ */
+annotorious.modules.openlayers.OpenLayersModule.prototype.makeUnannotatable = function(item) {
+  var item_url = annotorious.modules.openlayers.OpenLayersModule.getItemURL(item);
+  var annotator = this._annotators.get(item_url);
+  if (annotator) {
+    annotator.destroy();
+    this._annotators.remove(item_url);
+  }
+
+  goog.array.remove(this._maps, item);
+}
+
+annotorious.modules.openlayers.OpenLayersModule.prototype.redo = function(opt_item_url) {
+
 }
 
 annotorious.modules.openlayers.OpenLayersModule.prototype.removeAnnotation = function(annotation) {
@@ -75,6 +166,14 @@ annotorious.modules.openlayers.OpenLayersModule.prototype.highlightAnnotation =
 
 }
 
+annotorious.modules.openlayers.OpenLayersModule.prototype.importAnnotation = function(annotation) {
+  this.addAnnotation(annotation);
+}
+
+annotorious.modules.openlayers.OpenLayersModule.prototype.renderToImage = function(item_url, opt_options) {
+
+}
+
 /**
  * Enables (or disables) the ability to create new annotations on an annotatable image.
  * @param {boolean} enabled if <code>true</code> new annotations can be created
@@ -83,6 +182,22 @@ annotorious.modules.openlayers.OpenLayersModule.prototype.setSelectionEnabled =
 
 }
 
+annotorious.modules.openlayers.OpenLayersModule.prototype.setHistoryDepth = function(depth) {
+
+}
+
+annotorious.modules.openlayers.OpenLayersModule.prototype.setStorage = function(storage) {
+
+}
+
 annotorious.modules.openlayers.OpenLayersModule.prototype.supports = function(item) {
   return (item instanceof OpenLayers.Map);
 }
+
+annotorious.modules.openlayers.OpenLayersModule.prototype.undo = function(opt_item_url) {
+
+}
+
+annotorious.modules.openlayers.OpenLayersModule.prototype.updateAnnotation = function(annotation, changes) {
+
+}
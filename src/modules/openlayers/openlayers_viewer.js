@@ -30,19 +30,25 @@ annotorious.modules.openlayers.Viewer = function(map, popup, annotator) {
   /** @private **/
   this._lastHoveredOverlay;
 
+  /** @private **/
+  this._listenerKeys = [];
+
   /** @private **/
   this._boxesLayer = new OpenLayers.Layer.Boxes('Annotorious'); // TODO make configurable
   this._map.addLayer(this._boxesLayer);
 
   var self = this;
-  this._map.events.register('move', this._map, function() {
+
+  /** @private **/
+  this._onMapMove = function() {
     if (self._currentlyHighlightedOverlay) {
       var div = self._currentlyHighlightedOverlay.marker.div;
       var pos = goog.style.getRelativePosition(div, self._map.div);
       var height = parseInt(goog.style.getStyle(div, 'height'), 10);
       self._popup.setPosition(pos.x, pos.y + height + 5);
     }
-  });
+  };
+  this._map.events.register('move', this._map, this._onMapMove);
 
   annotator.addHandler(annotorious.events.EventType.BEFORE_POPUP_HIDE, function() {
     if (self._lastHoveredOverlay == self._currentlyHighlightedOverlay)
@@ -73,7 +79,10 @@ annotorious.modules.openlayers.Viewer.prototype._updateHighlight = function(new_
  * @param {annotorious.annotation.Annotation} the annotation
  */
 annotorious.modules.openlayers.Viewer.prototype.addAnnotation = function(annotation) {
-  var geometry = annotation["shapes"][0].geometry;
+  annotorious.annotation.ensureId(annotation);
+
+  // Box markers only - other shapes are displayed as their bounding box
+  var geometry = annotorious.shape.getBoundingRect(annotation["shapes"][0]);
   var marker =
     new OpenLayers.Marker.Box(new OpenLayers.Bounds(geometry.x, geometry.y, geometry.x + geometry.width, geometry.y + geometry.height));
   goog.dom.classes.add(marker.div, 'annotorious-ol-boxmarker-outer');
@@ -86,24 +95,24 @@ annotorious.modules.openlayers.Viewer.prototype.addAnnotation = function(annotat
   var overlay = {annotation: annotation, marker: marker, inner: inner};
 
   var self = this;
-  goog.events.listen(inner, goog.events.EventType.MOUSEOVER, function(event) {
+  this._listenerKeys.push(goog.events.listen(inner, goog.events.EventType.MOUSEOVER, function(event) {
     if (!self._currentlyHighlightedOverlay)
       self._updateHighlight(overlay);
 
     self._lastHoveredOverlay = overlay;
-  });
+  }));
   
-  goog.events.listen(inner, goog.events.EventType.MOUSEOUT, function(event) {
+  this._listenerKeys.push(goog.events.listen(inner, goog.events.EventType.MOUSEOUT, function(event) {
     delete self._lastHoveredOverlay;
     self._popup.startHideTimer();
-  });
+  }));
   
   this._overlays.push(overlay);
 
   goog.array.sort(this._overlays, function(a, b) {
-    var geomA = a.annotation["shapes"][0].geometry;
-    var geomB = b.annotation["shapes"][0].geometry;
-    return annotorious.geom.size(geomB) - annotorious.geom.size(geomA);
+    var sizeA = Math.abs(annotorious.shape.getSize(a.annotation["shapes"][0]));
+    var sizeB = Math.abs(annotorious.shape.getSize(b.annotation["shapes"][0]));
+    return sizeB - sizeA;
   });
  
   var zIndex = 10000;
@@ -124,6 +133,33 @@ annotorious.modules.openlayers.Viewer.prototype.removeAnnotation = function(anno
     return overlay.annotation == annotation;
   }); 
 
-  if (overlay)
+  if (overlay) {
+    goog.array.remove(this._overlays, overlay);
     this._boxesLayer.removeMarker(overlay.marker);
+  }
+}
+
+/**
+ * Destroys the viewer, removing its marker layer from the map and detaching its listeners.
+ */
+annotorious.modules.openlayers.Viewer.prototype.destroy = function() {
+  goog.array.forEach(this._listenerKeys, function(key) {
+    goog.events.unlistenByKey(key);
+  });
+  this._listenerKeys = [];
+
+  this._map.events.unregister('move', this._map, this._onMapMove);
+  this._map.removeLayer(this._boxesLayer);
+  this._boxesLayer.destroy();
+  this._overlays = [];
+}
+
+/**
+ * Returns the annotations currently displayed in the viewer.
+ * @returns {Array.<Annotation>} the annotations
+ */
+annotorious.modules.openlayers.Viewer.prototype.getAnnotations = function() {
+  return goog.array.map(this._overlays, function(overlay) {
+    return overlay.annotation;
+  });
 }
@@ -62,6 +62,11 @@ annotorious.okfn.ImagePlugin = function(image, okfnAnnotator) {
     return [ selector ];
   };
 
+  eventBroker.getSelectorForShapeType = function(type) {
+    if (selector.getSupportedShapeType() == type)
+      return selector;
+  };
+
   /** 
    * Checks if the OKFN Editor is currently 'owned' by this image. I.e. whether
    * the current annotation in the editor is an image annotation, and the annotation 
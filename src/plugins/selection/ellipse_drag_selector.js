@@ -0,0 +1,222 @@
+var humanEvents = annotorious.humanEvents;
+
+goog.provide('annotorious.plugins.selection.EllipseDragSelector');
+
+goog.require('goog.events');
+
+/**
+ * A click-and-drag-style selector for elliptical areas: the user drags the bounding
+ * box of the ellipse. Holding SHIFT while dragging draws a circle.
+ * @constructor
+ */
+annotorious.plugins.selection.EllipseDragSelector = function() { }
+
+/**
+ * Initializes the selector.
+ * @param {element} canvas the canvas to draw on
+ * @param {object} annotator reference to the annotator
+ */
+annotorious.plugins.selection.EllipseDragSelector.prototype.init = function(canvas, annotator) {
+  /** @private **/
+  this._canvas = canvas;
+
+  /** @private **/
+  this._annotator = annotator;
+
+  /** @private **/
+  this._g2d = canvas.getContext('2d');
+
+  /** @private **/
+  this._anchor;
+
+  /** @private **/
+  this._opposite;
+
+  /** @private **/
+  this._enabled = false;
+
+  /** @private **/
+  this._mouseMoveListener;
+
+  /** @private **/
+  this._mouseUpListener;
+}
+
+/**
+ * Attaches MOUSEUP and MOUSEMOVE listeners to the editing canvas.
+ * @private
+ */
+annotorious.plugins.selection.EllipseDragSelector.prototype._attachListeners = function() {
+  var self = this;
+  var canvas = this._canvas;
+
+  this._mouseMoveListener = goog.events.listen(canvas, humanEvents.MOVE, function(event) {
+    var points = annotorious.events.sanitizeCoordinates(event, canvas);
+    event.preventDefault();
+    if (self._enabled) {
+      var dx = points.x - self._anchor.x;
+      var dy = points.y - self._anchor.y;
+      if (event.shiftKey) {
+        // Circle - the larger of both drag distances determines the diameter
+        var diameter = Math.max(Math.abs(dx), Math.abs(dy));
+        dx = (dx < 0) ? -diameter : diameter;
+        dy = (dy < 0) ? -diameter : diameter;
+      }
+      self._opposite = { x: self._anchor.x + dx, y: self._anchor.y + dy };
+
+      self._g2d.clearRect(0, 0, canvas.width, canvas.height);
+      var ellipse = self._getViewportEllipse();
+      if (ellipse)
+        self.drawShape(self._g2d, new annotorious.shape.Shape(annotorious.shape.ShapeType.ELLIPSE, ellipse));
+    }
+  });
+
+  this._mouseUpListener = goog.events.listen(canvas, humanEvents.UP, function(event) {
+    var shape = self.getShape();
+    event = (event.event_) ? event.event_ : event;
+    self._enabled = false;
+    if (shape) {
+      self._annotator.fireEvent(annotorious.events.EventType.SELECTION_COMPLETED,
+        { mouseEvent: event, shape: shape, viewportBounds: self.getViewportBounds() });
+    } else {
+      self._annotator.fireEvent(annotorious.events.EventType.SELECTION_CANCELED);
+    }
+  });
+}
+
+/**
+ * Detaches MOUSEUP and MOUSEMOVE listeners from the editing canvas.
+ * @private
+ */
+annotorious.plugins.selection.EllipseDragSelector.prototype._detachListeners = function() {
+  if (this._mouseMoveListener) {
+    goog.events.unlistenByKey(this._mouseMoveListener);
+    delete this._mouseMoveListener;
+  }
+
+  if (this._mouseUpListener) {
+    goog.events.unlistenByKey(this._mouseUpListener);
+    delete this._mouseUpListener;
+  }
+}
+
+/**
+ * Returns the ellipse that is currently being dragged, in viewport coordinates.
+ * @returns {annotorious.shape.geom.Ellipse | undefined} the ellipse, or undefined if the drag is too small
+ * @private
+ */
+annotorious.plugins.selection.EllipseDragSelector.prototype._getViewportEllipse = function() {
+  if (this._opposite &&
+     (Math.abs(this._opposite.x - this._anchor.x) > 3) &&
+     (Math.abs(this._opposite.y - this._anchor.y) > 3)) {
+    var bounds = this.getViewportBounds();
+    return new annotorious.shape.geom.Ellipse((bounds.left + bounds.right) / 2, (bounds.top + bounds.bottom) / 2,
+      (bounds.right - bounds.left) / 2, (bounds.bottom - bounds.top) / 2);
+  }
+}
+
+/**
+ * Selector API method: returns the selector name.
+ * @returns the selector name
+ */
+annotorious.plugins.selection.EllipseDragSelector.prototype.getName = function() {
+  return 'ellipse';
+}
+
+/**
+ * Selector API method: returns the supported shape type.
+ * @return the supported shape type
+ */
+annotorious.plugins.selection.EllipseDragSelector.prototype.getSupportedShapeType = function() {
+  return annotorious.shape.ShapeType.ELLIPSE;
+}
+
+/**
+ * Selector API method: starts the selection at the specified coordinates.
+ * @param {number} x the X coordinate
+ * @param {number} y the Y coordinate
+ */
+annotorious.plugins.selection.EllipseDragSelector.prototype.startSelection = function(x, y) {
+  this._enabled = true;
+  this._attachListeners();
+  this._anchor = new annotorious.shape.geom.Point(x, y);
+  this._annotator.fireEvent(annotorious.events.EventType.SELECTION_STARTED, {
+    offsetX: x, offsetY: y});
+
+  goog.style.setStyle(document.body, '-webkit-user-select', 'none');
+}
+
+/**
+ * Selector API method: stops the selection.
+ */
+annotorious.plugins.selection.EllipseDragSelector.prototype.stopSelection = function() {
+  this._detachListeners();
+  this._g2d.clearRect(0, 0, this._canvas.width, this._canvas.height);
+  goog.style.setStyle(document.body, '-webkit-user-select', 'auto');
+  delete this._opposite;
+}
+
+/**
+ * Selector API method: returns the currently edited shape.
+ * @returns {annotorious.shape.Shape | undefined} the shape
+ */
+annotorious.plugins.selection.EllipseDragSelector.prototype.getShape = function() {
+  var ellipse = this._getViewportEllipse();
+  if (!ellipse)
+    return undefined;
+
+  var center = this._annotator.toItemCoordinates({ x: ellipse['cx'], y: ellipse['cy'] });
+  var corner = this._annotator.toItemCoordinates({ x: ellipse['cx'] + ellipse['rx'], y: ellipse['cy'] + ellipse['ry'] });
+  return new annotorious.shape.Shape(annotorious.shape.ShapeType.ELLIPSE,
+    new annotorious.shape.geom.Ellipse(center.x, center.y, corner.x - center.x, corner.y - center.y));
+}
+
+/**
+ * Selector API method: returns the bounds of the selected shape, in viewport (= pixel) coordinates.
+ * @returns {object} the shape viewport bounds
+ */
+annotorious.plugins.selection.EllipseDragSelector.prototype.getViewportBounds = function() {
+  return {
+    top: Math.min(this._anchor.y, this._opposite.y),
+    right: Math.max(this._anchor.x, this._opposite.x),
+    bottom: Math.max(this._anchor.y, this._opposite.y),
+    left: Math.min(this._anchor.x, this._opposite.x)
+  };
+}
+
+/**
+ * Selector API method: draws an ellipse shape.
+ * @param {object} g2d the graphics context
+ * @param {annotorious.shape.Shape} shape the shape, in viewport coordinates
+ * @param {boolean} highlight if true, the shape is drawn highlighted
+ * @param {object} opt_style the style ('outline', 'stroke' and 'highlight' colors - optional)
+ */
+annotorious.plugins.selection.EllipseDragSelector.prototype.drawShape = function(g2d, shape, highlight, opt_style) {
+  var geom = shape['geometry'];
+  if (shape.type != annotorious.shape.ShapeType.ELLIPSE || geom['rx'] == 0 || geom['ry'] == 0)
+    return;
+
+  var style = (opt_style) ? opt_style : {};
+
+  // Unit circle, scaled to the ellipse - the transform is restored before
+  // stroking, so that the line width is not scaled along
+  var trace = function(inset) {
+    g2d.save();
+    g2d.translate(geom['cx'], geom['cy']);
+    g2d.scale(Math.max(geom['rx'] - inset, 0.5), Math.max(geom['ry'] - inset, 0.5));
+    g2d.beginPath();
+    g2d.arc(0, 0, 1, 0, 2 * Math.PI, false);
+    g2d.restore();
+    g2d.stroke();
+  };
+
+  // Outer line
+  g2d.lineWidth = 2.5;
+  g2d.strokeStyle = style['outline'] || '#000000';
+  trace(0);
+
+  // Inner line
+  g2d.lineWidth = (highlight) ? 1.4 : 1;
+  g2d.strokeStyle = (highlight) ? style['highlight'] || '#fff000' : style['stroke'] || '#ffffff';
+  trace(0.5);
+}
@@ -1,43 +1,262 @@
 var humanEvents = annotorious.humanEvents;
-  
-  
-goog.provide('annotorious.selection.FreehandSelector');
 
+goog.provide('annotorious.plugins.selection.FreehandSelector');
+
+goog.require('goog.array');
 goog.require('goog.events');
 
-annotorious.selector.FreehandSelector = function(canvas, annotator) {
-  // TODO get rid of paper.js dependency (shouldn't really be a problem in this case)
-  paper.setup(canvas);
+/**
+ * A freehand (lasso) selector: the user draws the outline of the area by dragging.
+ * The pointer path is simplified with the Douglas-Peucker algorithm, and the result
+ * is a polygon.
+ * @param {object} opt_options options (optional): 'tolerance' - the maximum distance
+ * (in pixels) by which the simplified outline may deviate from the drawn path
+ * @constructor
+ */
+annotorious.plugins.selection.FreehandSelector = function(opt_options) {
+  var options = (opt_options) ? opt_options : {};
+
+  /** @private **/
+  this._tolerance = (goog.isNumber(options['tolerance'])) ? options['tolerance'] :
+    annotorious.plugins.selection.FreehandSelector.DEFAULT_TOLERANCE;
+}
+
+/**
+ * The default simplification tolerance, in pixels.
+ * @type {number}
+ */
+annotorious.plugins.selection.FreehandSelector.DEFAULT_TOLERANCE = 2;
+
+/**
+ * Simplifies a path with the Douglas-Peucker algorithm.
+ * @param {Array.<object>} points the path
+ * @param {number} tolerance the maximum distance of removed points from the simplified path
+ * @returns {Array.<object>} the simplified path
+ */
+annotorious.plugins.selection.FreehandSelector.simplify = function(points, tolerance) {
+  if (points.length < 3)
+    return points;
 
-  var path = new paper.Path();
-  path.strokeColor = '#ffffff';
+  // Distance of pt from the line through a and b
+  var distance = function(pt, a, b) {
+    var dx = b.x - a.x;
+    var dy = b.y - a.y;
+    var length = Math.sqrt(dx * dx + dy * dy);
+    if (length == 0)
+      return Math.sqrt((pt.x - a.x) * (pt.x - a.x) + (pt.y - a.y) * (pt.y - a.y));
+    return Math.abs(dy * pt.x - dx * pt.y + b.x * a.y - b.y * a.x) / length;
+  };
 
-  var moveListener = function(event) {
-    var to = new paper.Point(event.offsetX, event.offsetY);
-    path.lineTo(to);
-    paper.view.draw();
+  var first = points[0];
+  var last = points[points.length - 1];
+  var maxDistance = 0;
+  var index = 0;
+  for (var i = 1; i < points.length - 1; i++) {
+    var d = distance(points[i], first, last);
+    if (d > maxDistance) {
+      maxDistance = d;
+      index = i;
+    }
   }
 
-  goog.events.listen(canvas, humanEvents.DOWN, function(event) { 
-    goog.events.listen(canvas, goog.events.humanEvents.MOVE, moveListener);
-    var start = new paper.Point(event.offsetX, event.offsetY);
-    path.moveTo(start);
+  if (maxDistance <= tolerance)
+    return [ first, last ];
+
+  var left = annotorious.plugins.selection.FreehandSelector.simplify(points.slice(0, index + 1), tolerance);
+  var right = annotorious.plugins.selection.FreehandSelector.simplify(points.slice(index), tolerance);
+  return left.slice(0, left.length - 1).concat(right);
+}
+
+/**
+ * Initializes the selector.
+ * @param {element} canvas the canvas to draw on
+ * @param {object} annotator reference to the annotator
+ */
+annotorious.plugins.selection.FreehandSelector.prototype.init = function(canvas, annotator) {
+  /** @private **/
+  this._canvas = canvas;
+
+  /** @private **/
+  this._annotator = annotator;
+
+  /** @private **/
+  this._g2d = canvas.getContext('2d');
+
+  /** @private **/
+  this._path = [];
+
+  /** @private **/
+  this._points = [];
+
+  /** @private **/
+  this._enabled = false;
+
+  /** @private **/
+  this._mouseMoveListener;
+
+  /** @private **/
+  this._mouseUpListener;
+}
+
+/**
+ * Attaches MOUSEUP and MOUSEMOVE listeners to the editing canvas.
+ * @private
+ */
+annotorious.plugins.selection.FreehandSelector.prototype._attachListeners = function() {
+  var self = this;
+  var canvas = this._canvas;
+
+  this._mouseMoveListener = goog.events.listen(canvas, humanEvents.MOVE, function(event) {
+    var points = annotorious.events.sanitizeCoordinates(event, canvas);
+    event.preventDefault();
+    if (self._enabled) {
+      self._path.push({ x: points.x, y: points.y });
+      self._g2d.clearRect(0, 0, canvas.width, canvas.height);
+      self.drawShape(self._g2d, new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON,
+        new annotorious.shape.geom.Polygon(self._path)));
+    }
   });
 
-  goog.events.listen(canvas, humanEvents.UP, function(event) {
-    path = new paper.Path();
-    path.strokeColor = '#ffffff';
-    goog.events.unlisten(canvas, humanEvents.MOVE, moveListener);
+  this._mouseUpListener = goog.events.listen(canvas, humanEvents.UP, function(event) {
+    event = (event.event_) ? event.event_ : event;
+    self._enabled = false;
+    self._points = annotorious.plugins.selection.FreehandSelector.simplify(self._path, self._tolerance);
+
+    var bounds = (self._points.length > 2) ? self.getViewportBounds() : undefined;
+    if (bounds && (bounds.right - bounds.left) > 3 && (bounds.bottom - bounds.top) > 3) {
+      self._g2d.clearRect(0, 0, canvas.width, canvas.height);
+      self.drawShape(self._g2d, new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON,
+        new annotorious.shape.geom.Polygon(self._points)));
+
+      self._annotator.fireEvent(annotorious.events.EventType.SELECTION_COMPLETED,
+        { mouseEvent: event, shape: self.getShape(), viewportBounds: bounds });
+    } else {
+      self._annotator.fireEvent(annotorious.events.EventType.SELECTION_CANCELED);
+    }
   });
+}
+
+/**
+ * Detaches MOUSEUP and MOUSEMOVE listeners from the editing canvas.
+ * @private
+ */
+annotorious.plugins.selection.FreehandSelector.prototype._detachListeners = function() {
+  if (this._mouseMoveListener) {
+    goog.events.unlistenByKey(this._mouseMoveListener);
+    delete this._mouseMoveListener;
+  }
+
+  if (this._mouseUpListener) {
+    goog.events.unlistenByKey(this._mouseUpListener);
+    delete this._mouseUpListener;
+  }
+}
 
+/**
+ * Selector API method: returns the selector name.
+ * @returns the selector name
+ */
+annotorious.plugins.selection.FreehandSelector.prototype.getName = function() {
+  return 'freehand';
 }
 
+/**
+ * Selector API method: returns the supported shape type.
+ * @return the supported shape type
+ */
+annotorious.plugins.selection.FreehandSelector.prototype.getSupportedShapeType = function() {
+  return annotorious.shape.ShapeType.POLYGON;
+}
 
-annotorious.selector.FreehandSelector.prototype.startSelection = function(x, y) {
+/**
+ * Selector API method: starts the selection at the specified coordinates.
+ * @param {number} x the X coordinate
+ * @param {number} y the Y coordinate
+ */
+annotorious.plugins.selection.FreehandSelector.prototype.startSelection = function(x, y) {
+  this._enabled = true;
+  this._path = [ { x: x, y: y } ];
+  this._points = [];
+  this._attachListeners();
+  this._annotator.fireEvent(annotorious.events.EventType.SELECTION_STARTED, {
+    offsetX: x, offsetY: y});
 
+  goog.style.setStyle(document.body, '-webkit-user-select', 'none');
 }
 
-annotorious.selector.FreehandSelector.prototype.stopSelection = function() {
+/**
+ * Selector API method: stops the selection.
+ */
+annotorious.plugins.selection.FreehandSelector.prototype.stopSelection = function() {
+  this._detachListeners();
+  this._g2d.clearRect(0, 0, this._canvas.width, this._canvas.height);
+  goog.style.setStyle(document.body, '-webkit-user-select', 'auto');
+  this._enabled = false;
+  this._path = [];
+  this._points = [];
+}
+
+/**
+ * Selector API method: returns the currently edited shape.
+ * @returns {annotorious.shape.Shape | undefined} the shape, or undefined if no outline was drawn
+ */
+annotorious.plugins.selection.FreehandSelector.prototype.getShape = function() {
+  if (this._points.length < 3)
+    return undefined;
+
+  var self = this;
+  var points = goog.array.map(this._points, function(pt) {
+    return self._annotator.toItemCoordinates(pt);
+  });
+
+  return new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON, new annotorious.shape.geom.Polygon(points));
+}
+
+/**
+ * Selector API method: returns the bounds of the selected shape, in viewport (= pixel) coordinates.
+ * @returns {object} the shape viewport bounds
+ */
+annotorious.plugins.selection.FreehandSelector.prototype.getViewportBounds = function() {
+  var xs = goog.array.map(this._points, function(pt) { return pt.x; });
+  var ys = goog.array.map(this._points, function(pt) { return pt.y; });
+  return {
+    top: Math.min.apply(null, ys),
+    right: Math.max.apply(null, xs),
+    bottom: Math.max.apply(null, ys),
+    left: Math.min.apply(null, xs)
+  };
+}
+
+/**
+ * Selector API method: draws a polygon shape.
+ * @param {object} g2d the graphics context
+ * @param {annotorious.shape.Shape} shape the shape, in viewport coordinates
+ * @param {boolean} highlight if true, the shape is drawn highlighted
+ * @param {object} opt_style the style ('outline', 'stroke' and 'highlight' colors - optional)
+ */
+annotorious.plugins.selection.FreehandSelector.prototype.drawShape = function(g2d, shape, highlight, opt_style) {
+  if (shape.type != annotorious.shape.ShapeType.POLYGON)
+    return;
+
+  var style = (opt_style) ? opt_style : {};
+  var points = shape['geometry'].points;
+
+  var trace = function() {
+    g2d.beginPath();
+    g2d.moveTo(points[0].x, points[0].y);
+    for (var i = 1; i < points.length; i++)
+      g2d.lineTo(points[i].x, points[i].y);
+    g2d.closePath();
+    g2d.stroke();
+  };
+
+  // Outer line
+  g2d.lineWidth = 2.5;
+  g2d.strokeStyle = style['outline'] || '#000000';
+  trace();
 
+  // Inner line
+  g2d.lineWidth = 1.4;
+  g2d.strokeStyle = (highlight) ? style['highlight'] || '#fff000' : style['stroke'] || '#ffffff';
+  trace();
 }
-  
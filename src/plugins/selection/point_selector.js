@@ -0,0 +1,234 @@
+var humanEvents = annotorious.humanEvents;
+
+goog.provide('annotorious.plugins.selection.PointSelector');
+
+goog.require('goog.events');
+goog.require('goog.math');
+
+/**
+ * A point selector: a single click places a pin. (While the mouse button is
+ * pressed, the pin can still be dragged into position.)
+ * @constructor
+ */
+annotorious.plugins.selection.PointSelector = function() { }
+
+/**
+ * Initializes the selector.
+ * @param {element} canvas the canvas to draw on
+ * @param {object} annotator reference to the annotator
+ */
+annotorious.plugins.selection.PointSelector.prototype.init = function(canvas, annotator) {
+  /** @private **/
+  this._canvas = canvas;
+
+  /** @private **/
+  this._annotator = annotator;
+
+  /** @private **/
+  this._g2d = canvas.getContext('2d');
+
+  /** @private **/
+  this._point;
+
+  /** @private **/
+  this._dragging = false;
+
+  /** @private **/
+  this._editUnits;
+
+  /** @private **/
+  this._mouseDownListener;
+
+  /** @private **/
+  this._mouseMoveListener;
+
+  /** @private **/
+  this._mouseUpListener;
+}
+
+/**
+ * Attaches MOUSEUP and MOUSEMOVE (and, in edit mode, MOUSEDOWN) listeners to the editing canvas.
+ * @param {boolean} edit true to attach the listeners for edit mode
+ * @private
+ */
+annotorious.plugins.selection.PointSelector.prototype._attachListeners = function(edit) {
+  var self = this;
+  var canvas = this._canvas;
+
+  var moveTo = function(event) {
+    var points = annotorious.events.sanitizeCoordinates(event, canvas);
+    self._point = {
+      x: goog.math.clamp(points.x, 0, canvas.width),
+      y: goog.math.clamp(points.y, 0, canvas.height)
+    };
+    self._g2d.clearRect(0, 0, canvas.width, canvas.height);
+    self.drawShape(self._g2d, new annotorious.shape.Shape(annotorious.shape.ShapeType.POINT, self._point), true);
+  };
+
+  if (edit) {
+    // In edit mode, the pin moves to wherever the user clicks
+    this._mouseDownListener = goog.events.listen(canvas, humanEvents.DOWN, function(event) {
+      event.preventDefault();
+      self._dragging = true;
+      moveTo(event);
+    });
+  }
+
+  this._mouseMoveListener = goog.events.listen(canvas, humanEvents.MOVE, function(event) {
+    event.preventDefault();
+    if (self._dragging)
+      moveTo(event);
+  });
+
+  this._mouseUpListener = goog.events.listen(canvas, humanEvents.UP, function(event) {
+    if (!self._dragging)
+      return;
+
+    self._dragging = false;
+    moveTo(event);
+    if (!edit) {
+      event = (event.event_) ? event.event_ : event;
+      self._annotator.fireEvent(annotorious.events.EventType.SELECTION_COMPLETED,
+        { mouseEvent: event, shape: self.getShape(), viewportBounds: self.getViewportBounds() });
+    }
+  });
+}
+
+/**
+ * Detaches the listeners from the editing canvas.
+ * @private
+ */
+annotorious.plugins.selection.PointSelector.prototype._detachListeners = function() {
+  if (this._mouseDownListener) {
+    goog.events.unlistenByKey(this._mouseDownListener);
+    delete this._mouseDownListener;
+  }
+
+  if (this._mouseMoveListener) {
+    goog.events.unlistenByKey(this._mouseMoveListener);
+    delete this._mouseMoveListener;
+  }
+
+  if (this._mouseUpListener) {
+    goog.events.unlistenByKey(this._mouseUpListener);
+    delete this._mouseUpListener;
+  }
+}
+
+/**
+ * Selector API method: returns the selector name.
+ * @returns the selector name
+ */
+annotorious.plugins.selection.PointSelector.prototype.getName = function() {
+  return 'point';
+}
+
+/**
+ * Selector API method: returns the supported shape type.
+ * @return the supported shape type
+ */
+annotorious.plugins.selection.PointSelector.prototype.getSupportedShapeType = function() {
+  return annotorious.shape.ShapeType.POINT;
+}
+
+/**
+ * Selector API method: starts the selection at the specified coordinates.
+ * @param {number} x the X coordinate
+ * @param {number} y the Y coordinate
+ */
+annotorious.plugins.selection.PointSelector.prototype.startSelection = function(x, y) {
+  this._point = { x: x, y: y };
+  this._dragging = true;
+  this._attachListeners(false);
+  this._annotator.fireEvent(annotorious.events.EventType.SELECTION_STARTED, {
+    offsetX: x, offsetY: y});
+
+  this.drawShape(this._g2d, new annotorious.shape.Shape(annotorious.shape.ShapeType.POINT, this._point), true);
+  goog.style.setStyle(document.body, '-webkit-user-select', 'none');
+}
+
+/**
+ * Selector API method: starts editing an existing shape. getShape returns the result
+ * of the edit, in the units of the original shape.
+ * @param {annotorious.shape.Shape} shape the shape
+ */
+annotorious.plugins.selection.PointSelector.prototype.editShape = function(shape) {
+  var geom = shape['geometry'];
+  this._point = (shape.units == annotorious.shape.Units.PIXEL) ? { x: geom.x, y: geom.y } :
+    this._annotator.fromItemCoordinates({ x: geom.x, y: geom.y });
+  this._editUnits = shape.units;
+  this._attachListeners(true);
+
+  this.drawShape(this._g2d, new annotorious.shape.Shape(annotorious.shape.ShapeType.POINT, this._point), true);
+  goog.style.setStyle(document.body, '-webkit-user-select', 'none');
+}
+
+/**
+ * Selector API method: stops the selection.
+ */
+annotorious.plugins.selection.PointSelector.prototype.stopSelection = function() {
+  this._detachListeners();
+  this._g2d.clearRect(0, 0, this._canvas.width, this._canvas.height);
+  goog.style.setStyle(document.body, '-webkit-user-select', 'auto');
+  this._dragging = false;
+  delete this._point;
+  delete this._editUnits;
+}
+
+/**
+ * Selector API method: returns the currently edited shape.
+ * @returns {annotorious.shape.Shape | undefined} the shape, or undefined if no point was placed
+ */
+annotorious.plugins.selection.PointSelector.prototype.getShape = function() {
+  if (!this._point)
+    return undefined;
+
+  return annotorious.shape.toItemShape(new annotorious.shape.Shape(annotorious.shape.ShapeType.POINT,
+    new annotorious.shape.geom.Point(this._point.x, this._point.y)), this._annotator, this._editUnits);
+}
+
+/**
+ * Selector API method: returns the bounds of the selected shape, in viewport (= pixel) coordinates.
+ * @returns {object} the shape viewport bounds
+ */
+annotorious.plugins.selection.PointSelector.prototype.getViewportBounds = function() {
+  return { top: this._point.y, right: this._point.x, bottom: this._point.y, left: this._point.x };
+}
+
+/**
+ * Selector API method: draws a point as a pin, with its tip on the point.
+ * @param {object} g2d the graphics context
+ * @param {annotorious.shape.Shape} shape the shape, in viewport coordinates
+ * @param {boolean} highlight if true, the shape is drawn highlighted
+ * @param {object} opt_style the style ('outline', 'stroke' and 'highlight' colors - optional)
+ */
+annotorious.plugins.selection.PointSelector.prototype.drawShape = function(g2d, shape, highlight, opt_style) {
+  if (shape.type != annotorious.shape.ShapeType.POINT)
+    return;
+
+  var style = (opt_style) ? opt_style : {};
+  var x = shape['geometry'].x;
+  var y = shape['geometry'].y;
+
+  // The pin head is centered one hit radius above the tip
+  var distance = annotorious.shape.POINT_HIT_RADIUS;
+  var radius = distance * 0.55;
+  var cy = y - distance;
+  var phi = Math.acos(radius / distance);
+
+  g2d.beginPath();
+  g2d.moveTo(x, y);
+  g2d.arc(x, cy, radius, Math.PI / 2 + phi, Math.PI / 2 - phi + 2 * Math.PI, false);
+  g2d.closePath();
+
+  g2d.fillStyle = (highlight) ? style['highlight'] || '#fff000' : style['stroke'] || '#ffffff';
+  g2d.fill();
+  g2d.lineWidth = 1.2;
+  g2d.strokeStyle = style['outline'] || '#000000';
+  g2d.stroke();
+
+  g2d.beginPath();
+  g2d.arc(x, cy, radius / 3, 0, 2 * Math.PI, false);
+  g2d.fillStyle = style['outline'] || '#000000';
+  g2d.fill();
+}
@@ -2,7 +2,10 @@ var humanEvents = annotorious.humanEvents;
 
 goog.provide('annotorious.plugins.selection.PolygonSelector');
 
+goog.require('goog.array');
 goog.require('goog.events');
+goog.require('goog.events.KeyCodes');
+goog.require('goog.math');
 
 /**
  * A polygon drawing tool selector.
@@ -10,6 +13,12 @@ goog.require('goog.events');
  */
 annotorious.plugins.selection.PolygonSelector = function() { }
 
+/**
+ * The radius of the vertex handles shown in edit mode, in pixels.
+ * @type {number}
+ */
+annotorious.plugins.selection.PolygonSelector.HANDLE_RADIUS = 4;
+
 /**
  * Initializes the selector.
  * @param {element} canvas the canvas to draw on
@@ -42,6 +51,30 @@ annotorious.plugins.selection.PolygonSelector.prototype.init = function(canvas,
 
   /** @private **/
   this._mouseUpListener;
+
+  /** @private **/
+  this._mouseDownListener;
+
+  /** @private **/
+  this._keyDownListener;
+
+  /** @private **/
+  this._editPolygons;
+
+  /** @private **/
+  this._editUnits;
+
+  /** @private **/
+  this._selectedVertex;
+
+  /** @private **/
+  this._drag;
+
+  /** @private **/
+  this._newRing;
+
+  /** @private **/
+  this._newRingTarget;
 }
 
 /**
@@ -127,6 +160,309 @@ annotorious.plugins.selection.PolygonSelector.prototype._detachListeners = funct
     goog.events.unlistenByKey(this._mouseUpListener);
     delete this._mouseUpListener;
   }
+
+  if (this._mouseDownListener) {
+    goog.events.unlistenByKey(this._mouseDownListener);
+    delete this._mouseDownListener;
+  }
+
+  if (this._keyDownListener) {
+    goog.events.unlistenByKey(this._keyDownListener);
+    delete this._keyDownListener;
+  }
+}
+
+/**
+ * Attaches the listeners for edit mode: vertices can be dragged, clicking the midpoint
+ * of an edge inserts a vertex, Alt-click (or the Delete key, for the selected vertex)
+ * removes a vertex. Every ring always keeps at least three vertices. Shift-click starts
+ * drawing a new ring - a hole if it starts inside the shape, otherwise an additional
+ * part. Like with a new polygon, the ring is closed by clicking its first vertex again
+ * (Escape discards it).
+ * @private
+ */
+annotorious.plugins.selection.PolygonSelector.prototype._attachEditListeners = function() {
+  var self = this;
+  var canvas = this._canvas;
+
+  this._mouseDownListener = goog.events.listen(canvas, humanEvents.DOWN, function(event) {
+    var points = annotorious.events.sanitizeCoordinates(event, canvas);
+    var pt = { x: points.x, y: points.y };
+    event.preventDefault();
+
+    if (self._newRing) {
+      var first = self._newRing[0];
+      if (self._newRing.length > 2 && Math.abs(pt.x - first.x) < 5 && Math.abs(pt.y - first.y) < 5)
+        self._closeNewRing();
+      else
+        self._newRing.push(pt);
+      self._drawEditShape();
+      return;
+    }
+
+    if (event.shiftKey) {
+      self._newRing = [ pt ];
+      self._newRingTarget = goog.array.find(self._editPolygons, function(polygon) {
+        return annotorious.shape.intersects(new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON,
+          new annotorious.shape.geom.Polygon(polygon.points, polygon.holes)), pt.x, pt.y);
+      });
+      delete self._selectedVertex;
+      self._drawEditShape();
+      return;
+    }
+
+    var vertex = self._getVertexAt(pt.x, pt.y);
+    if (!vertex) {
+      var midpoint = self._getMidpointAt(pt.x, pt.y);
+      if (!midpoint)
+        return;
+
+      // Insert a new vertex, which can be dragged right away
+      vertex = { ring: midpoint.ring, index: midpoint.index + 1 };
+      goog.array.insertAt(vertex.ring, self._getMidpoint(midpoint.ring, midpoint.index), vertex.index);
+    } else if (event.altKey) {
+      self._removeVertex(vertex);
+      return;
+    }
+
+    // The canvas doesn't take the focus - blur the editor textarea, so that Delete works on the vertex
+    if (document.activeElement && document.activeElement.blur)
+      document.activeElement.blur();
+
+    self._selectedVertex = vertex;
+    self._drag = vertex;
+    self._drawEditShape();
+  });
+
+  this._mouseMoveListener = goog.events.listen(canvas, humanEvents.MOVE, function(event) {
+    var points = annotorious.events.sanitizeCoordinates(event, canvas);
+    event.preventDefault();
+
+    if (self._newRing) {
+      self._drawEditShape({ x: points.x, y: points.y });
+    } else if (self._drag) {
+      self._drag.ring[self._drag.index] = {
+        x: goog.math.clamp(points.x, 0, canvas.width),
+        y: goog.math.clamp(points.y, 0, canvas.height)
+      };
+      self._drawEditShape();
+    } else if (self._getVertexAt(points.x, points.y)) {
+      goog.style.setStyle(canvas, 'cursor', 'move');
+    } else if (self._getMidpointAt(points.x, points.y)) {
+      goog.style.setStyle(canvas, 'cursor', 'copy');
+    } else {
+      goog.style.setStyle(canvas, 'cursor', 'default');
+    }
+  });
+
+  this._mouseUpListener = goog.events.listen(canvas, humanEvents.UP, function(event) {
+    delete self._drag;
+  });
+
+  this._keyDownListener = goog.events.listen(document, goog.events.EventType.KEYDOWN, function(event) {
+    var tagName = event.target.tagName;
+    if (tagName == 'TEXTAREA' || tagName == 'INPUT')
+      return;
+
+    if (event.keyCode == goog.events.KeyCodes.ESC && self._newRing) {
+      event.preventDefault();
+      delete self._newRing;
+      delete self._newRingTarget;
+      self._drawEditShape();
+    } else if (event.keyCode == goog.events.KeyCodes.DELETE && self._selectedVertex) {
+      event.preventDefault();
+      self._removeVertex(self._selectedVertex);
+    }
+  });
+}
+
+/**
+ * Adds the ring drawn in edit mode to the shape: as a hole to the polygon it was
+ * started in, or as a new part.
+ * @private
+ */
+annotorious.plugins.selection.PolygonSelector.prototype._closeNewRing = function() {
+  if (this._newRingTarget)
+    this._newRingTarget.holes.push(this._newRing);
+  else
+    this._editPolygons.push({ points: this._newRing, holes: [] });
+
+  delete this._newRing;
+  delete this._newRingTarget;
+}
+
+/**
+ * Returns all rings of the shape being edited (edit mode only).
+ * @returns {Array.<Array.<object>>} the rings
+ * @private
+ */
+annotorious.plugins.selection.PolygonSelector.prototype._getEditRings = function() {
+  var rings = [];
+  goog.array.forEach(this._editPolygons, function(polygon) {
+    rings.push(polygon.points);
+    goog.array.extend(rings, polygon.holes);
+  });
+  return rings;
+}
+
+/**
+ * Returns the vertex at the specified viewport coordinates (edit mode only).
+ * @param {number} x the X coordinate
+ * @param {number} y the Y coordinate
+ * @returns {object | undefined} the vertex (the 'ring' and the 'index' in the ring), or undefined
+ * if there is no vertex at this position
+ * @private
+ */
+annotorious.plugins.selection.PolygonSelector.prototype._getVertexAt = function(x, y) {
+  var radius = annotorious.plugins.selection.PolygonSelector.HANDLE_RADIUS + 2;
+  var rings = this._getEditRings();
+  for (var r = 0; r < rings.length; r++) {
+    var index = goog.array.findIndex(rings[r], function(pt) {
+      return Math.abs(x - pt.x) <= radius && Math.abs(y - pt.y) <= radius;
+    });
+    if (index > -1)
+      return { ring: rings[r], index: index };
+  }
+}
+
+/**
+ * Returns the midpoint of an edge (edit mode only).
+ * @param {Array.<object>} ring the ring
+ * @param {number} idx the index of the edge, i.e. of the vertex it starts at
+ * @returns {object} the midpoint
+ * @private
+ */
+annotorious.plugins.selection.PolygonSelector.prototype._getMidpoint = function(ring, idx) {
+  var from = ring[idx];
+  var to = ring[(idx + 1) % ring.length];
+  return { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+}
+
+/**
+ * Returns the edge whose midpoint is at the specified viewport coordinates (edit mode only).
+ * @param {number} x the X coordinate
+ * @param {number} y the Y coordinate
+ * @returns {object | undefined} the edge (the 'ring' and the 'index' of its first vertex), or
+ * undefined if there is no midpoint at this position
+ * @private
+ */
+annotorious.plugins.selection.PolygonSelector.prototype._getMidpointAt = function(x, y) {
+  var radius = annotorious.plugins.selection.PolygonSelector.HANDLE_RADIUS + 2;
+  var rings = this._getEditRings();
+  for (var r = 0; r < rings.length; r++) {
+    for (var i = 0; i < rings[r].length; i++) {
+      var midpoint = this._getMidpoint(rings[r], i);
+      if (Math.abs(x - midpoint.x) <= radius && Math.abs(y - midpoint.y) <= radius)
+        return { ring: rings[r], index: i };
+    }
+  }
+}
+
+/**
+ * Removes a vertex (edit mode only). Does nothing if the ring has only three vertices left.
+ * @param {object} vertex the vertex (the 'ring' and the 'index' in the ring)
+ * @private
+ */
+annotorious.plugins.selection.PolygonSelector.prototype._removeVertex = function(vertex) {
+  if (vertex.ring.length > 3) {
+    goog.array.removeAt(vertex.ring, vertex.index);
+    delete this._selectedVertex;
+    this._drawEditShape();
+  }
+}
+
+/**
+ * Returns the shape being edited, in viewport coordinates (edit mode only): a polygon,
+ * or a multi-polygon if parts were added.
+ * @returns {annotorious.shape.Shape} the shape
+ * @private
+ */
+annotorious.plugins.selection.PolygonSelector.prototype._getEditShape = function() {
+  var polygons = goog.array.map(this._editPolygons, function(polygon) {
+    return new annotorious.shape.geom.Polygon(polygon.points, polygon.holes);
+  });
+
+  if (polygons.length == 1)
+    return new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON, polygons[0]);
+  else
+    return new annotorious.shape.Shape(annotorious.shape.ShapeType.MULTIPOLYGON,
+      new annotorious.shape.geom.MultiPolygon(polygons));
+}
+
+/**
+ * Draws the shape being edited, with its vertex and edge midpoint handles, plus the
+ * ring that is currently being drawn (if any).
+ * @param {object} opt_mouse the mouse position, while a new ring is being drawn (optional)
+ * @private
+ */
+annotorious.plugins.selection.PolygonSelector.prototype._drawEditShape = function(opt_mouse) {
+  var self = this;
+  var g2d = this._g2d;
+  var radius = annotorious.plugins.selection.PolygonSelector.HANDLE_RADIUS;
+
+  g2d.clearRect(0, 0, this._canvas.width, this._canvas.height);
+  this.drawShape(g2d, this._getEditShape());
+
+  var selected = this._selectedVertex;
+  goog.array.forEach(this._getEditRings(), function(points) {
+    // Midpoints
+    g2d.lineWidth = 1.0;
+    g2d.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    g2d.strokeStyle = '#000000';
+    for (var i = 0; i < points.length; i++) {
+      var midpoint = self._getMidpoint(points, i);
+      g2d.beginPath();
+      g2d.arc(midpoint.x, midpoint.y, radius - 1.5, 0, 2 * Math.PI, false);
+      g2d.fill();
+      g2d.stroke();
+    }
+
+    // Vertices
+    goog.array.forEach(points, function(pt, idx) {
+      var isSelected = selected && selected.ring == points && selected.index == idx;
+      g2d.fillStyle = (isSelected) ? '#000000' : '#ffffff';
+      g2d.strokeStyle = (isSelected) ? '#ffffff' : '#000000';
+      g2d.beginPath();
+      g2d.arc(pt.x, pt.y, radius, 0, 2 * Math.PI, false);
+      g2d.fill();
+      g2d.stroke();
+    });
+  });
+
+  if (this._newRing) {
+    var ring = (opt_mouse) ? this._newRing.concat([ opt_mouse ]) : this._newRing;
+    g2d.lineWidth = 1.4;
+    g2d.strokeStyle = '#000000';
+    g2d.beginPath();
+    g2d.moveTo(ring[0].x, ring[0].y);
+    goog.array.forEach(ring, function(pt) {
+      g2d.lineTo(pt.x, pt.y);
+    });
+    g2d.stroke();
+
+    g2d.fillStyle = '#ffffff';
+    g2d.beginPath();
+    g2d.arc(ring[0].x, ring[0].y, radius, 0, 2 * Math.PI, false);
+    g2d.fill();
+    g2d.stroke();
+  }
+}
+
+/**
+ * Returns the vertices of the polygon (in edit mode: of the outlines of all parts), in
+ * viewport coordinates.
+ * @returns {Array.<object>} the vertices
+ * @private
+ */
+annotorious.plugins.selection.PolygonSelector.prototype._getViewportPoints = function() {
+  if (this._editPolygons) {
+    var points = [];
+    goog.array.forEach(this._editPolygons, function(polygon) {
+      goog.array.extend(points, polygon.points);
+    });
+    return points;
+  }
+  return [ this._anchor ].concat(this._points);
 }
 
 /**
@@ -139,15 +475,20 @@ annotorious.plugins.selection.PolygonSelector.prototype.getName = function() {
 
 /**
  * Selector API method: returns the supported shape type.
- *
- * TODO support for multiple shape types?
- *
  * @return the supported shape type
  */
 annotorious.plugins.selection.PolygonSelector.prototype.getSupportedShapeType = function() {
   return annotorious.shape.ShapeType.POLYGON;
 }
 
+/**
+ * Selector API method (optional): returns all shape types the selector can draw and edit.
+ * @return {Array.<string>} the supported shape types
+ */
+annotorious.plugins.selection.PolygonSelector.prototype.getSupportedShapeTypes = function() {
+  return [ annotorious.shape.ShapeType.POLYGON, annotorious.shape.ShapeType.MULTIPOLYGON ];
+}
+
 /**
  * Selector API method: starts the selection at the specified coordinates.
  * @param {number} x the X coordinate
@@ -163,6 +504,29 @@ annotorious.plugins.selection.PolygonSelector.prototype.startSelection = functio
   goog.style.setStyle(document.body, '-webkit-user-select', 'none');
 }
 
+/**
+ * Selector API method: starts editing an existing shape. getShape returns the result
+ * of the edit, in the units of the original shape.
+ * @param {annotorious.shape.Shape} shape the shape
+ */
+annotorious.plugins.selection.PolygonSelector.prototype.editShape = function(shape) {
+  var self = this;
+  var toViewport = function(points) {
+    return goog.array.map(points, function(pt) {
+      return (shape.units == annotorious.shape.Units.PIXEL) ? { x: pt.x, y: pt.y } : self._annotator.fromItemCoordinates(pt);
+    });
+  };
+
+  this._editUnits = shape.units;
+  this._editPolygons = goog.array.map(annotorious.shape.getPolygons(shape), function(polygon) {
+    return { points: toViewport(polygon.points), holes: goog.array.map(polygon['holes'] || [], toViewport) };
+  });
+
+  this._attachEditListeners();
+  this._drawEditShape();
+  goog.style.setStyle(document.body, '-webkit-user-select', 'none');
+}
+
 /**
  * Selector API method: stops the selection.
  */
@@ -170,7 +534,14 @@ annotorious.plugins.selection.PolygonSelector.prototype.stopSelection = function
   this._detachListeners();
   this._g2d.clearRect(0, 0, this._canvas.width, this._canvas.height);
   goog.style.setStyle(document.body, '-webkit-user-select', 'auto');
+  goog.style.setStyle(this._canvas, 'cursor', '');
   this._points = [];
+  delete this._editPolygons;
+  delete this._editUnits;
+  delete this._selectedVertex;
+  delete this._drag;
+  delete this._newRing;
+  delete this._newRingTarget;
 }
 
 /**
@@ -178,12 +549,13 @@ annotorious.plugins.selection.PolygonSelector.prototype.stopSelection = function
  * @returns {annotorious.shape.Shape} the shape
  */
 annotorious.plugins.selection.PolygonSelector.prototype.getShape = function() {
-  var points = [];
-  points.push(this._annotator.toItemCoordinates(this._anchor));
-
   var self = this;
-  goog.array.forEach(this._points, function(pt) {
-    points.push(self._annotator.toItemCoordinates(pt));
+
+  if (this._editPolygons)
+    return annotorious.shape.toItemShape(this._getEditShape(), this._annotator, this._editUnits);
+
+  var points = goog.array.map(this._getViewportPoints(), function(pt) {
+    return self._annotator.toItemCoordinates(pt);
   });
 
   return new annotorious.shape.Shape(annotorious.shape.ShapeType.POLYGON, new annotorious.shape.geom.Polygon(points));
@@ -194,12 +566,13 @@ annotorious.plugins.selection.PolygonSelector.prototype.getShape = function() {
  * @returns {object} the shape viewport bounds
  */
 annotorious.plugins.selection.PolygonSelector.prototype.getViewportBounds = function() {
-  var right = this._anchor.x;
-  var left = this._anchor.x;
-  var top = this._anchor.y;
-  var bottom = this._anchor.y;
+  var points = this._getViewportPoints();
+  var right = points[0].x;
+  var left = points[0].x;
+  var top = points[0].y;
+  var bottom = points[0].y;
 
-  goog.array.forEach(this._points, function(pt) {
+  goog.array.forEach(points, function(pt) {
     if (pt.x > right)
       right = pt.x;
 
@@ -218,38 +591,46 @@ annotorious.plugins.selection.PolygonSelector.prototype.getViewportBounds = func
 
 /**
  * TODO not sure if this is really the best way/architecture to handle viewer shape drawing 
+ * @param {object} opt_style the style ('outline', 'stroke' and 'highlight' colors - optional)
  */
-annotorious.plugins.selection.PolygonSelector.prototype.drawShape = function(g2d, shape, highlight) {
+annotorious.plugins.selection.PolygonSelector.prototype.drawShape = function(g2d, shape, highlight, opt_style) {
+  var style = (opt_style) ? opt_style : {};
+  var outline = style['outline'] || '#000000';
+
   var color;
   if (highlight) {
-    color = '#fff000';
+    color = style['highlight'] || '#fff000';
   } else {
-    color = '#ffffff';
+    color = style['stroke'] || '#ffffff';
   }
 
-  // TODO check if it's really a polyogn
+  var polygons = annotorious.shape.getPolygons(shape);
+  if (!polygons)
+    return;
+
+  // Outlines and holes of all parts
+  var trace = function() {
+    g2d.beginPath();
+    goog.array.forEach(polygons, function(polygon) {
+      goog.array.forEach(annotorious.shape.getRings(polygon), function(points) {
+        g2d.moveTo(points[0].x, points[0].y);
+        for (var i=1; i<points.length; i++) {
+          g2d.lineTo(points[i].x, points[i].y);
+        }
+        g2d.lineTo(points[0].x, points[0].y);
+      });
+    });
+    g2d.stroke();
+  };
 
   // Outer line
   g2d.lineWidth = 2.5;
-  g2d.strokeStyle = '#000000';
-  g2d.beginPath();
-  var points = shape.geometry.points;
-  g2d.moveTo(points[0].x, points[0].y);
-  for (var i=1; i<points.length; i++) {
-    g2d.lineTo(points[i].x, points[i].y);
-  }
-  g2d.lineTo(points[0].x, points[0].y);
-  g2d.stroke();
+  g2d.strokeStyle = outline;
+  trace();
 
   // Inner line
   g2d.lineWidth = 1.4;
   g2d.strokeStyle = color;
-  g2d.beginPath();
-  g2d.moveTo(points[0].x, points[0].y);
-  for (var i=1; i<points.length; i++) {
-    g2d.lineTo(points[i].x, points[i].y);
-  }
-  g2d.lineTo(points[0].x, points[0].y);
-  g2d.stroke();
+  trace();
 }
   
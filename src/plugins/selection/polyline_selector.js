@@ -0,0 +1,276 @@
+var humanEvents = annotorious.humanEvents;
+
+goog.provide('annotorious.plugins.selection.PolylineSelector');
+
+goog.require('goog.array');
+goog.require('goog.events');
+goog.require('goog.events.KeyCodes');
+
+/**
+ * A polyline drawing tool selector, for tracing paths or pointing at details. Like with
+ * the polygon selector, each click adds a vertex - but the path is never closed. Clicking
+ * the last vertex again (e.g. with a double-click), or pressing Enter, completes the
+ * selection.
+ * @param {object} opt_options options (optional): 'arrow' - if true, the selector draws
+ * arrows (i.e. polylines with an arrowhead at the last vertex)
+ * @constructor
+ */
+annotorious.plugins.selection.PolylineSelector = function(opt_options) {
+  var options = (opt_options) ? opt_options : {};
+
+  /** @private **/
+  this._arrow = options['arrow'] === true;
+}
+
+/**
+ * The length of arrowheads, in pixels.
+ * @type {number}
+ */
+annotorious.plugins.selection.PolylineSelector.ARROWHEAD_LENGTH = 12;
+
+/**
+ * Initializes the selector.
+ * @param {element} canvas the canvas to draw on
+ * @param {object} annotator reference to the annotator
+ */
+annotorious.plugins.selection.PolylineSelector.prototype.init = function(canvas, annotator) {
+  /** @private **/
+  this._canvas = canvas;
+
+  /** @private **/
+  this._annotator = annotator;
+
+  /** @private **/
+  this._g2d = canvas.getContext('2d');
+
+  /** @private **/
+  this._points = [];
+
+  /** @private **/
+  this._enabled = false;
+
+  /** @private **/
+  this._mouseMoveListener;
+
+  /** @private **/
+  this._mouseUpListener;
+
+  /** @private **/
+  this._keyDownListener;
+}
+
+/**
+ * Attaches MOUSEUP, MOUSEMOVE and KEYDOWN listeners.
+ * @private
+ */
+annotorious.plugins.selection.PolylineSelector.prototype._attachListeners = function() {
+  var self = this;
+  var canvas = this._canvas;
+
+  var refresh = function(opt_mouse) {
+    var points = (opt_mouse) ? self._points.concat([ opt_mouse ]) : self._points;
+    self._g2d.clearRect(0, 0, canvas.width, canvas.height);
+    self.drawShape(self._g2d, new annotorious.shape.Shape(self.getSupportedShapeType(),
+      new annotorious.shape.geom.Polyline(points)));
+  };
+
+  var complete = function(event) {
+    self._enabled = false;
+    refresh();
+    self._annotator.fireEvent(annotorious.events.EventType.SELECTION_COMPLETED,
+      { mouseEvent: event, shape: self.getShape(), viewportBounds: self.getViewportBounds() });
+  };
+
+  var isLastPoint = function(x, y) {
+    var last = self._points[self._points.length - 1];
+    return Math.abs(x - last.x) < 5 && Math.abs(y - last.y) < 5;
+  };
+
+  this._mouseMoveListener = goog.events.listen(canvas, humanEvents.MOVE, function(event) {
+    var points = annotorious.events.sanitizeCoordinates(event, canvas);
+    event.preventDefault();
+    if (self._enabled)
+      refresh({ x: points.x, y: points.y });
+  });
+
+  this._mouseUpListener = goog.events.listen(canvas, humanEvents.UP, function(event) {
+    if (!self._enabled)
+      return;
+
+    var points = annotorious.events.sanitizeCoordinates(event, canvas);
+    if (isLastPoint(points.x, points.y)) {
+      // Releasing the button on the start point doesn't add a vertex, a second click on the last vertex completes
+      if (self._points.length > 1)
+        complete((event.event_) ? event.event_ : event);
+    } else {
+      self._points.push({ x: points.x, y: points.y });
+      refresh();
+    }
+  });
+
+  this._keyDownListener = goog.events.listen(document, goog.events.EventType.KEYDOWN, function(event) {
+    var tagName = event.target.tagName;
+    if (tagName == 'TEXTAREA' || tagName == 'INPUT')
+      return;
+
+    if (self._enabled && event.keyCode == goog.events.KeyCodes.ENTER && self._points.length > 1) {
+      event.preventDefault();
+      complete(event);
+    }
+  });
+}
+
+/**
+ * Detaches the listeners.
+ * @private
+ */
+annotorious.plugins.selection.PolylineSelector.prototype._detachListeners = function() {
+  if (this._mouseMoveListener) {
+    goog.events.unlistenByKey(this._mouseMoveListener);
+    delete this._mouseMoveListener;
+  }
+
+  if (this._mouseUpListener) {
+    goog.events.unlistenByKey(this._mouseUpListener);
+    delete this._mouseUpListener;
+  }
+
+  if (this._keyDownListener) {
+    goog.events.unlistenByKey(this._keyDownListener);
+    delete this._keyDownListener;
+  }
+}
+
+/**
+ * Selector API method: returns the selector name.
+ * @returns the selector name
+ */
+annotorious.plugins.selection.PolylineSelector.prototype.getName = function() {
+  return (this._arrow) ? 'arrow' : 'polyline';
+}
+
+/**
+ * Selector API method: returns the supported shape type.
+ * @return the supported shape type
+ */
+annotorious.plugins.selection.PolylineSelector.prototype.getSupportedShapeType = function() {
+  return (this._arrow) ? annotorious.shape.ShapeType.ARROW : annotorious.shape.ShapeType.POLYLINE;
+}
+
+/**
+ * Selector API method: starts the selection at the specified coordinates.
+ * @param {number} x the X coordinate
+ * @param {number} y the Y coordinate
+ */
+annotorious.plugins.selection.PolylineSelector.prototype.startSelection = function(x, y) {
+  this._enabled = true;
+  this._points = [ new annotorious.shape.geom.Point(x, y) ];
+  this._attachListeners();
+  this._annotator.fireEvent(annotorious.events.EventType.SELECTION_STARTED, {
+    offsetX: x, offsetY: y});
+
+  goog.style.setStyle(document.body, '-webkit-user-select', 'none');
+}
+
+/**
+ * Selector API method: stops the selection.
+ */
+annotorious.plugins.selection.PolylineSelector.prototype.stopSelection = function() {
+  this._detachListeners();
+  this._g2d.clearRect(0, 0, this._canvas.width, this._canvas.height);
+  goog.style.setStyle(document.body, '-webkit-user-select', 'auto');
+  this._enabled = false;
+  this._points = [];
+}
+
+/**
+ * Selector API method: returns the currently edited shape.
+ * @returns {annotorious.shape.Shape | undefined} the shape, or undefined if less than two vertices were placed
+ */
+annotorious.plugins.selection.PolylineSelector.prototype.getShape = function() {
+  if (this._points.length < 2)
+    return undefined;
+
+  var self = this;
+  var points = goog.array.map(this._points, function(pt) {
+    return self._annotator.toItemCoordinates(pt);
+  });
+
+  return new annotorious.shape.Shape(this.getSupportedShapeType(), new annotorious.shape.geom.Polyline(points));
+}
+
+/**
+ * Selector API method: returns the bounds of the selected shape, in viewport (= pixel) coordinates.
+ * @returns {object} the shape viewport bounds
+ */
+annotorious.plugins.selection.PolylineSelector.prototype.getViewportBounds = function() {
+  var xs = goog.array.map(this._points, function(pt) { return pt.x; });
+  var ys = goog.array.map(this._points, function(pt) { return pt.y; });
+  return {
+    top: Math.min.apply(null, ys),
+    right: Math.max.apply(null, xs),
+    bottom: Math.max.apply(null, ys),
+    left: Math.min.apply(null, xs)
+  };
+}
+
+/**
+ * Selector API method: draws a polyline or arrow shape.
+ * @param {object} g2d the graphics context
+ * @param {annotorious.shape.Shape} shape the shape, in viewport coordinates
+ * @param {boolean} highlight if true, the shape is drawn highlighted
+ * @param {object} opt_style the style ('outline', 'stroke' and 'highlight' colors - optional)
+ */
+annotorious.plugins.selection.PolylineSelector.prototype.drawShape = function(g2d, shape, highlight, opt_style) {
+  if (!annotorious.shape.isLine(shape))
+    return;
+
+  var style = (opt_style) ? opt_style : {};
+  var outline = style['outline'] || '#000000';
+  var color = (highlight) ? style['highlight'] || '#fff000' : style['stroke'] || '#ffffff';
+  var points = shape['geometry'].points;
+
+  var trace = function() {
+    g2d.beginPath();
+    g2d.moveTo(points[0].x, points[0].y);
+    for (var i = 1; i < points.length; i++)
+      g2d.lineTo(points[i].x, points[i].y);
+    g2d.stroke();
+  };
+
+  // Outer line
+  g2d.lineWidth = 2.5;
+  g2d.strokeStyle = outline;
+  trace();
+
+  // Inner line
+  g2d.lineWidth = (highlight) ? 1.4 : 1;
+  g2d.strokeStyle = color;
+  trace();
+
+  if (shape.type == annotorious.shape.ShapeType.ARROW) {
+    // The arrowhead points along the last segment of non-zero length
+    var tip = points[points.length - 1];
+    var from = goog.array.findRight(points, function(pt) {
+      return pt.x != tip.x || pt.y != tip.y;
+    });
+    if (!from)
+      return;
+
+    var length = annotorious.plugins.selection.PolylineSelector.ARROWHEAD_LENGTH;
+    var angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+    var spread = Math.PI / 7;
+
+    g2d.beginPath();
+    g2d.moveTo(tip.x, tip.y);
+    g2d.lineTo(tip.x - length * Math.cos(angle - spread), tip.y - length * Math.sin(angle - spread));
+    g2d.lineTo(tip.x - length * Math.cos(angle + spread), tip.y - length * Math.sin(angle + spread));
+    g2d.closePath();
+
+    g2d.fillStyle = color;
+    g2d.fill();
+    g2d.lineWidth = 1;
+    g2d.strokeStyle = outline;
+    g2d.stroke();
+  }
+}
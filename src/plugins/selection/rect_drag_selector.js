@@ -2,7 +2,9 @@ var humanEvents = annotorious.humanEvents;
   
 goog.provide('annotorious.plugins.selection.RectDragSelector');
 
+goog.require('goog.array');
 goog.require('goog.events');
+goog.require('goog.math');
 
 /**
  * A simple click-and-drag-style selector for rectangular areas.
@@ -10,6 +12,28 @@ goog.require('goog.events');
  */
 annotorious.plugins.selection.RectDragSelector = function() { }
 
+/**
+ * The resize handles shown in edit mode. 'x' and 'y' are the position of the handle
+ * relative to the rectangle (0 = left/top edge, 0.5 = center, 1 = right/bottom edge).
+ * @type {Array.<object>}
+ */
+annotorious.plugins.selection.RectDragSelector.HANDLES = [
+  { x: 0, y: 0, cursor: 'nwse-resize' },
+  { x: 0.5, y: 0, cursor: 'ns-resize' },
+  { x: 1, y: 0, cursor: 'nesw-resize' },
+  { x: 1, y: 0.5, cursor: 'ew-resize' },
+  { x: 1, y: 1, cursor: 'nwse-resize' },
+  { x: 0.5, y: 1, cursor: 'ns-resize' },
+  { x: 0, y: 1, cursor: 'nesw-resize' },
+  { x: 0, y: 0.5, cursor: 'ew-resize' }
+];
+
+/**
+ * Half the size of a resize handle, in pixels.
+ * @type {number}
+ */
+annotorious.plugins.selection.RectDragSelector.HANDLE_RADIUS = 4;
+
 /**
  * Initializes the selector.
  * @param {element} canvas the canvas to draw on
@@ -42,6 +66,15 @@ annotorious.plugins.selection.RectDragSelector.prototype.init = function(canvas,
 
   /** @private **/
   this._mouseUpListener;
+
+  /** @private **/
+  this._mouseDownListener;
+
+  /** @private **/
+  this._editUnits;
+
+  /** @private **/
+  this._drag;
     
   this.viewer = viewer;
 }
@@ -128,6 +161,131 @@ annotorious.plugins.selection.RectDragSelector.prototype._detachListeners = func
     goog.events.unlistenByKey(this._mouseUpListener);
     delete this._UpListener;
   }
+
+  if (this._mouseDownListener) {
+    goog.events.unlistenByKey(this._mouseDownListener);
+    delete this._mouseDownListener;
+  }
+}
+
+/**
+ * Attaches the listeners for edit mode: handles resize the rectangle, dragging
+ * the interior moves it. The rectangle always stays inside the canvas (i.e. the image).
+ * @private
+ */
+annotorious.plugins.selection.RectDragSelector.prototype._attachEditListeners = function() {
+  var self = this;
+  var canvas = this._canvas;
+
+  this._mouseDownListener = goog.events.listen(canvas, humanEvents.DOWN, function(event) {
+    var points = annotorious.events.sanitizeCoordinates(event, canvas);
+    event.preventDefault();
+
+    var handle = self._getHandleAt(points.x, points.y);
+    var bounds = self.getViewportBounds();
+    if (handle || (points.x >= bounds.left && points.x <= bounds.right && points.y >= bounds.top && points.y <= bounds.bottom)) {
+      self._drag = { handle: handle, start: points,
+        anchor: { x: self._anchor.x, y: self._anchor.y }, opposite: { x: self._opposite.x, y: self._opposite.y } };
+    }
+  });
+
+  this._mouseMoveListener = goog.events.listen(canvas, humanEvents.MOVE, function(event) {
+    var points = annotorious.events.sanitizeCoordinates(event, canvas);
+    event.preventDefault();
+
+    var drag = self._drag;
+    if (!drag) {
+      var handle = self._getHandleAt(points.x, points.y);
+      var bounds = self.getViewportBounds();
+      if (handle)
+        goog.style.setStyle(canvas, 'cursor', handle.cursor);
+      else if (points.x >= bounds.left && points.x <= bounds.right && points.y >= bounds.top && points.y <= bounds.bottom)
+        goog.style.setStyle(canvas, 'cursor', 'move');
+      else
+        goog.style.setStyle(canvas, 'cursor', 'default');
+      return;
+    }
+
+    var dx = points.x - drag.start.x;
+    var dy = points.y - drag.start.y;
+    if (drag.handle) {
+      // Resize - handles at 0 move the anchor edge, handles at 1 the opposite edge
+      if (drag.handle.x == 0)
+        self._anchor.x = goog.math.clamp(drag.anchor.x + dx, 0, canvas.width);
+      else if (drag.handle.x == 1)
+        self._opposite.x = goog.math.clamp(drag.opposite.x + dx, 0, canvas.width);
+
+      if (drag.handle.y == 0)
+        self._anchor.y = goog.math.clamp(drag.anchor.y + dy, 0, canvas.height);
+      else if (drag.handle.y == 1)
+        self._opposite.y = goog.math.clamp(drag.opposite.y + dy, 0, canvas.height);
+    } else {
+      // Move
+      dx = goog.math.clamp(dx, -drag.anchor.x, canvas.width - drag.opposite.x);
+      dy = goog.math.clamp(dy, -drag.anchor.y, canvas.height - drag.opposite.y);
+      self._anchor = { x: drag.anchor.x + dx, y: drag.anchor.y + dy };
+      self._opposite = { x: drag.opposite.x + dx, y: drag.opposite.y + dy };
+    }
+
+    self._drawEditShape();
+  });
+
+  this._mouseUpListener = goog.events.listen(canvas, humanEvents.UP, function(event) {
+    if (self._drag) {
+      delete self._drag;
+
+      // Normalize, in case the rectangle was flipped while resizing
+      var bounds = self.getViewportBounds();
+      self._anchor = { x: bounds.left, y: bounds.top };
+      self._opposite = { x: bounds.right, y: bounds.bottom };
+      self._drawEditShape();
+    }
+  });
+}
+
+/**
+ * Returns the resize handle at the specified viewport coordinates (if any).
+ * @param {number} x the X coordinate
+ * @param {number} y the Y coordinate
+ * @returns {object | undefined} the handle, or undefined if there is no handle at this position
+ * @private
+ */
+annotorious.plugins.selection.RectDragSelector.prototype._getHandleAt = function(x, y) {
+  var bounds = this.getViewportBounds();
+  var radius = annotorious.plugins.selection.RectDragSelector.HANDLE_RADIUS + 1;
+  return goog.array.find(annotorious.plugins.selection.RectDragSelector.HANDLES, function(handle) {
+    var hx = bounds.left + handle.x * (bounds.right - bounds.left);
+    var hy = bounds.top + handle.y * (bounds.bottom - bounds.top);
+    return Math.abs(x - hx) <= radius && Math.abs(y - hy) <= radius;
+  });
+}
+
+/**
+ * Draws the rectangle being edited, with its resize handles.
+ * @private
+ */
+annotorious.plugins.selection.RectDragSelector.prototype._drawEditShape = function() {
+  var g2d = this._g2d;
+  var bounds = this.getViewportBounds();
+  var width = bounds.right - bounds.left;
+  var height = bounds.bottom - bounds.top;
+
+  g2d.clearRect(0, 0, this._canvas.width, this._canvas.height);
+  g2d.lineWidth = 1;
+  g2d.strokeStyle = '#000000';
+  g2d.strokeRect(bounds.left + 0.5, bounds.top + 0.5, width, height);
+  g2d.strokeStyle = '#ffffff';
+  g2d.strokeRect(bounds.left + 1.5, bounds.top + 1.5, width - 2, height - 2);
+
+  var radius = annotorious.plugins.selection.RectDragSelector.HANDLE_RADIUS;
+  g2d.fillStyle = '#ffffff';
+  g2d.strokeStyle = '#000000';
+  goog.array.forEach(annotorious.plugins.selection.RectDragSelector.HANDLES, function(handle) {
+    var x = Math.round(bounds.left + handle.x * width) - radius + 0.5;
+    var y = Math.round(bounds.top + handle.y * height) - radius + 0.5;
+    g2d.fillRect(x, y, 2 * radius, 2 * radius);
+    g2d.strokeRect(x, y, 2 * radius, 2 * radius);
+  });
 }
 
 /**
@@ -168,6 +326,31 @@ annotorious.plugins.selection.RectDragSelector.prototype.startSelection = functi
   goog.style.setStyle(document.body, '-webkit-user-select', 'none');
 }
 
+/**
+ * Selector API method: starts editing an existing shape. The rectangle is displayed
+ * with eight resize handles, and can be moved by dragging. getShape returns the result
+ * of the edit, in the units of the original shape.
+ * @param {annotorious.shape.Shape} shape the shape
+ */
+annotorious.plugins.selection.RectDragSelector.prototype.editShape = function(shape) {
+  var self = this;
+  var geom = shape['geometry'];
+  var toViewport = function(xy) {
+    return (shape.units == annotorious.shape.Units.PIXEL) ? xy : self._annotator.fromItemCoordinates(xy);
+  };
+
+  // Inverse of getShape, which maps the bottom-right pixel to the opposite corner
+  var corner1 = toViewport({ x: geom.x, y: geom.y });
+  var corner2 = toViewport({ x: geom.x + geom.width, y: geom.y + geom.height });
+  this._anchor = { x: Math.min(corner1.x, corner2.x), y: Math.min(corner1.y, corner2.y) };
+  this._opposite = { x: Math.max(corner1.x, corner2.x) + 1, y: Math.max(corner1.y, corner2.y) + 1 };
+  this._editUnits = shape.units;
+
+  this._attachEditListeners();
+  this._drawEditShape();
+  goog.style.setStyle(document.body, '-webkit-user-select', 'none');
+}
+
 /**
  * Selector API method: stops the selection.
  */
@@ -175,7 +358,10 @@ annotorious.plugins.selection.RectDragSelector.prototype.stopSelection = functio
   this._detachListeners();
   this._g2d.clearRect(0, 0, this._canvas.width, this._canvas.height);
   goog.style.setStyle(document.body, '-webkit-user-select', 'auto');
+  goog.style.setStyle(this._canvas, 'cursor', '');
   delete this._opposite;
+  delete this._editUnits;
+  delete this._drag;
 }
 
 /**
@@ -188,17 +374,15 @@ annotorious.plugins.selection.RectDragSelector.prototype.getShape = function() {
      (Math.abs(this._opposite.y - this._anchor.y) > 3)) {
        
     var viewportBounds = this.getViewportBounds();
-    var item_anchor = this._annotator.toItemCoordinates({x: viewportBounds.left, y: viewportBounds.top});
-    var item_opposite = this._annotator.toItemCoordinates({x: viewportBounds.right - 1, y: viewportBounds.bottom - 1});
-
     var rect = new annotorious.shape.geom.Rectangle(
-      item_anchor.x,
-      item_anchor.y,
-      item_opposite.x - item_anchor.x,
-      item_opposite.y - item_anchor.y
+      viewportBounds.left,
+      viewportBounds.top,
+      viewportBounds.right - 1 - viewportBounds.left,
+      viewportBounds.bottom - 1 - viewportBounds.top
     );
 
-    return new annotorious.shape.Shape(annotorious.shape.ShapeType.RECTANGLE, rect);
+    return annotorious.shape.toItemShape(new annotorious.shape.Shape(annotorious.shape.ShapeType.RECTANGLE, rect),
+      this._annotator, this._editUnits);
   } else {
     return undefined;
   }
@@ -232,20 +416,23 @@ annotorious.plugins.selection.RectDragSelector.prototype.getViewportBounds = fun
 
 /**
  * TODO not sure if this is really the best way/architecture to handle viewer shape drawing 
+ * @param {object} opt_style the style ('outline', 'stroke' and 'highlight' colors - optional)
  */
-annotorious.plugins.selection.RectDragSelector.prototype.drawShape = function(g2d, shape, highlight) {
+annotorious.plugins.selection.RectDragSelector.prototype.drawShape = function(g2d, shape, highlight, opt_style) {
   if (shape.type == annotorious.shape.ShapeType.RECTANGLE) {
+    var style = (opt_style) ? opt_style : {};
+
     var color, lineWidth;
     if (highlight) {
-      color = '#f4f4f4';
+      color = style['highlight'] || '#f4f4f4';
       lineWidth = 1.2;
     } else {
-      color = '#ffffff';
+      color = style['stroke'] || '#ffffff';
       lineWidth = 1;
     }
 
     var geom = shape["geometry"];
-    g2d.strokeStyle = '#000000';
+    g2d.strokeStyle = style['outline'] || '#000000';
     g2d.lineWidth = lineWidth;
     g2d.strokeRect(geom.x + 0.5, geom.y + 0.5, geom.width + 1, geom.height + 1);
     g2d.strokeStyle = color;
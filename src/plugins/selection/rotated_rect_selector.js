@@ -0,0 +1,335 @@
+var humanEvents = annotorious.humanEvents;
+
+goog.provide('annotorious.plugins.selection.RotatedRectSelector');
+
+goog.require('goog.events');
+goog.require('goog.math');
+
+/**
+ * A selector for rotated rectangles, e.g. skewed text blocks on document scans. The user
+ * first drags an axis-aligned rectangle. After that, the rectangle gets a rotation handle,
+ * which can be dragged to rotate it (in steps of 15 degrees with SHIFT). Dragging inside
+ * the rectangle moves it.
+ * @constructor
+ */
+annotorious.plugins.selection.RotatedRectSelector = function() { }
+
+/**
+ * The distance of the rotation handle from the top edge of the rectangle, in pixels.
+ * @type {number}
+ */
+annotorious.plugins.selection.RotatedRectSelector.HANDLE_DISTANCE = 20;
+
+/**
+ * The radius of the rotation handle, in pixels.
+ * @type {number}
+ */
+annotorious.plugins.selection.RotatedRectSelector.HANDLE_RADIUS = 5;
+
+/**
+ * Initializes the selector.
+ * @param {element} canvas the canvas to draw on
+ * @param {object} annotator reference to the annotator
+ */
+annotorious.plugins.selection.RotatedRectSelector.prototype.init = function(canvas, annotator) {
+  /** @private **/
+  this._canvas = canvas;
+
+  /** @private **/
+  this._annotator = annotator;
+
+  /** @private **/
+  this._g2d = canvas.getContext('2d');
+
+  /** @private **/
+  this._anchor;
+
+  /** @private **/
+  this._rect;
+
+  /** @private **/
+  this._editUnits;
+
+  /** @private **/
+  this._drag;
+
+  /** @private **/
+  this._mouseDownListener;
+
+  /** @private **/
+  this._mouseMoveListener;
+
+  /** @private **/
+  this._mouseUpListener;
+}
+
+/**
+ * Attaches MOUSEDOWN, MOUSEMOVE and MOUSEUP listeners to the editing canvas. The
+ * current drag operation is kept in this._drag: 'create' while the initial rectangle
+ * is dragged, 'rotate' and 'move' once it exists.
+ * @private
+ */
+annotorious.plugins.selection.RotatedRectSelector.prototype._attachListeners = function() {
+  var self = this;
+  var canvas = this._canvas;
+
+  this._mouseDownListener = goog.events.listen(canvas, humanEvents.DOWN, function(event) {
+    var points = annotorious.events.sanitizeCoordinates(event, canvas);
+    event.preventDefault();
+    if (!self._rect || self._drag)
+      return;
+
+    if (self._isOnHandle(points.x, points.y)) {
+      self._drag = { type: 'rotate' };
+    } else if (annotorious.shape.intersects(self._getViewportShape(), points.x, points.y)) {
+      self._drag = { type: 'move', dx: points.x - self._rect['cx'], dy: points.y - self._rect['cy'] };
+    }
+  });
+
+  this._mouseMoveListener = goog.events.listen(canvas, humanEvents.MOVE, function(event) {
+    var points = annotorious.events.sanitizeCoordinates(event, canvas);
+    event.preventDefault();
+
+    var x = goog.math.clamp(points.x, 0, canvas.width);
+    var y = goog.math.clamp(points.y, 0, canvas.height);
+    var rect = self._rect;
+    if (!self._drag) {
+      if (rect && self._isOnHandle(x, y))
+        goog.style.setStyle(canvas, 'cursor', 'pointer');
+      else if (rect && annotorious.shape.intersects(self._getViewportShape(), x, y))
+        goog.style.setStyle(canvas, 'cursor', 'move');
+      else
+        goog.style.setStyle(canvas, 'cursor', 'default');
+      return;
+    }
+
+    if (self._drag.type == 'create') {
+      self._rect = new annotorious.shape.geom.RotatedRectangle((self._anchor.x + x) / 2, (self._anchor.y + y) / 2,
+        x - self._anchor.x, y - self._anchor.y, 0);
+      self._g2d.clearRect(0, 0, canvas.width, canvas.height);
+      self.drawShape(self._g2d, self._getViewportShape());
+      return;
+    }
+
+    if (self._drag.type == 'rotate') {
+      // The handle sits above the top edge, i.e. at -90 degrees for an unrotated rectangle
+      var angle = Math.atan2(y - rect['cy'], x - rect['cx']) * 180 / Math.PI + 90;
+      if (event.shiftKey)
+        angle = Math.round(angle / 15) * 15;
+      rect['angle'] = (angle > 180) ? angle - 360 : angle;
+    } else {
+      rect['cx'] = x - self._drag.dx;
+      rect['cy'] = y - self._drag.dy;
+    }
+    self._drawEditShape();
+  });
+
+  this._mouseUpListener = goog.events.listen(canvas, humanEvents.UP, function(event) {
+    var drag = self._drag;
+    delete self._drag;
+    if (!drag || drag.type != 'create')
+      return;
+
+    event = (event.event_) ? event.event_ : event;
+    if (self._rect && self._rect['width'] > 3 && self._rect['height'] > 3) {
+      // Selection is completed - but the rectangle can still be rotated until the editor is closed
+      self._drawEditShape();
+      self._annotator.fireEvent(annotorious.events.EventType.SELECTION_COMPLETED,
+        { mouseEvent: event, shape: self.getShape(), viewportBounds: self.getViewportBounds() });
+    } else {
+      delete self._rect;
+      self._annotator.fireEvent(annotorious.events.EventType.SELECTION_CANCELED);
+    }
+  });
+}
+
+/**
+ * Detaches the listeners from the editing canvas.
+ * @private
+ */
+annotorious.plugins.selection.RotatedRectSelector.prototype._detachListeners = function() {
+  if (this._mouseDownListener) {
+    goog.events.unlistenByKey(this._mouseDownListener);
+    delete this._mouseDownListener;
+  }
+
+  if (this._mouseMoveListener) {
+    goog.events.unlistenByKey(this._mouseMoveListener);
+    delete this._mouseMoveListener;
+  }
+
+  if (this._mouseUpListener) {
+    goog.events.unlistenByKey(this._mouseUpListener);
+    delete this._mouseUpListener;
+  }
+}
+
+/**
+ * Returns the current rectangle as a shape, in viewport coordinates.
+ * @returns {annotorious.shape.Shape} the shape
+ * @private
+ */
+annotorious.plugins.selection.RotatedRectSelector.prototype._getViewportShape = function() {
+  return new annotorious.shape.Shape(annotorious.shape.ShapeType.ROTATED_RECTANGLE, this._rect);
+}
+
+/**
+ * Returns the position of the rotation handle, in viewport coordinates.
+ * @returns {object} the handle position
+ * @private
+ */
+annotorious.plugins.selection.RotatedRectSelector.prototype._getHandlePosition = function() {
+  var rad = this._rect['angle'] * Math.PI / 180;
+  var distance = this._rect['height'] / 2 + annotorious.plugins.selection.RotatedRectSelector.HANDLE_DISTANCE;
+  return { x: this._rect['cx'] + distance * Math.sin(rad), y: this._rect['cy'] - distance * Math.cos(rad) };
+}
+
+/**
+ * Checks whether the specified viewport coordinates are on the rotation handle.
+ * @param {number} x the X coordinate
+ * @param {number} y the Y coordinate
+ * @returns {boolean} true if the coordinates are on the handle
+ * @private
+ */
+annotorious.plugins.selection.RotatedRectSelector.prototype._isOnHandle = function(x, y) {
+  var handle = this._getHandlePosition();
+  var radius = annotorious.plugins.selection.RotatedRectSelector.HANDLE_RADIUS + 2;
+  return (x - handle.x) * (x - handle.x) + (y - handle.y) * (y - handle.y) <= radius * radius;
+}
+
+/**
+ * Draws the rectangle, plus the rotation handle.
+ * @private
+ */
+annotorious.plugins.selection.RotatedRectSelector.prototype._drawEditShape = function() {
+  var g2d = this._g2d;
+  var rad = this._rect['angle'] * Math.PI / 180;
+  var top = { x: this._rect['cx'] + this._rect['height'] / 2 * Math.sin(rad), y: this._rect['cy'] - this._rect['height'] / 2 * Math.cos(rad) };
+  var handle = this._getHandlePosition();
+
+  g2d.clearRect(0, 0, this._canvas.width, this._canvas.height);
+  this.drawShape(g2d, this._getViewportShape(), true);
+
+  g2d.lineWidth = 1;
+  g2d.strokeStyle = '#000000';
+  g2d.beginPath();
+  g2d.moveTo(top.x, top.y);
+  g2d.lineTo(handle.x, handle.y);
+  g2d.stroke();
+
+  g2d.fillStyle = '#ffffff';
+  g2d.beginPath();
+  g2d.arc(handle.x, handle.y, annotorious.plugins.selection.RotatedRectSelector.HANDLE_RADIUS, 0, 2 * Math.PI, false);
+  g2d.fill();
+  g2d.stroke();
+}
+
+/**
+ * Selector API method: returns the selector name.
+ * @returns the selector name
+ */
+annotorious.plugins.selection.RotatedRectSelector.prototype.getName = function() {
+  return 'rotatedrect';
+}
+
+/**
+ * Selector API method: returns the supported shape type.
+ * @return the supported shape type
+ */
+annotorious.plugins.selection.RotatedRectSelector.prototype.getSupportedShapeType = function() {
+  return annotorious.shape.ShapeType.ROTATED_RECTANGLE;
+}
+
+/**
+ * Selector API method: starts the selection at the specified coordinates.
+ * @param {number} x the X coordinate
+ * @param {number} y the Y coordinate
+ */
+annotorious.plugins.selection.RotatedRectSelector.prototype.startSelection = function(x, y) {
+  this._anchor = new annotorious.shape.geom.Point(x, y);
+  this._drag = { type: 'create' };
+  this._attachListeners();
+  this._annotator.fireEvent(annotorious.events.EventType.SELECTION_STARTED, {
+    offsetX: x, offsetY: y});
+
+  goog.style.setStyle(document.body, '-webkit-user-select', 'none');
+}
+
+/**
+ * Selector API method: starts editing an existing shape. getShape returns the result
+ * of the edit, in the units of the original shape.
+ * @param {annotorious.shape.Shape} shape the shape
+ */
+annotorious.plugins.selection.RotatedRectSelector.prototype.editShape = function(shape) {
+  var self = this;
+  var viewportShape = (shape.units == annotorious.shape.Units.PIXEL) ? shape :
+    annotorious.shape.transform(shape, function(xy) { return self._annotator.fromItemCoordinates(xy); });
+
+  var geom = viewportShape['geometry'];
+  this._rect = new annotorious.shape.geom.RotatedRectangle(geom['cx'], geom['cy'], geom['width'], geom['height'], geom['angle']);
+  this._editUnits = shape.units;
+  this._attachListeners();
+  this._drawEditShape();
+  goog.style.setStyle(document.body, '-webkit-user-select', 'none');
+}
+
+/**
+ * Selector API method: stops the selection.
+ */
+annotorious.plugins.selection.RotatedRectSelector.prototype.stopSelection = function() {
+  this._detachListeners();
+  this._g2d.clearRect(0, 0, this._canvas.width, this._canvas.height);
+  goog.style.setStyle(document.body, '-webkit-user-select', 'auto');
+  goog.style.setStyle(this._canvas, 'cursor', '');
+  delete this._rect;
+  delete this._drag;
+  delete this._editUnits;
+}
+
+/**
+ * Selector API method: returns the currently edited shape.
+ * @returns {annotorious.shape.Shape | undefined} the shape
+ */
+annotorious.plugins.selection.RotatedRectSelector.prototype.getShape = function() {
+  if (!this._rect)
+    return undefined;
+
+  return annotorious.shape.toItemShape(this._getViewportShape(), this._annotator, this._editUnits);
+}
+
+/**
+ * Selector API method: returns the bounds of the selected shape, in viewport (= pixel) coordinates.
+ * @returns {object} the shape viewport bounds
+ */
+annotorious.plugins.selection.RotatedRectSelector.prototype.getViewportBounds = function() {
+  var bounds = annotorious.shape.getBoundingRect(this._getViewportShape());
+  return { top: bounds.y, right: bounds.x + bounds.width, bottom: bounds.y + bounds.height, left: bounds.x };
+}
+
+/**
+ * Selector API method: draws a rotated rectangle shape.
+ * @param {object} g2d the graphics context
+ * @param {annotorious.shape.Shape} shape the shape, in viewport coordinates
+ * @param {boolean} highlight if true, the shape is drawn highlighted
+ * @param {object} opt_style the style ('outline', 'stroke' and 'highlight' colors - optional)
+ */
+annotorious.plugins.selection.RotatedRectSelector.prototype.drawShape = function(g2d, shape, highlight, opt_style) {
+  if (shape.type != annotorious.shape.ShapeType.ROTATED_RECTANGLE)
+    return;
+
+  var style = (opt_style) ? opt_style : {};
+  var geom = shape['geometry'];
+  var w = geom['width'];
+  var h = geom['height'];
+
+  g2d.save();
+  g2d.translate(geom['cx'], geom['cy']);
+  g2d.rotate(geom['angle'] * Math.PI / 180);
+
+  g2d.lineWidth = (highlight) ? 1.2 : 1;
+  g2d.strokeStyle = style['outline'] || '#000000';
+  g2d.strokeRect(- w / 2 - 0.5, - h / 2 - 0.5, w + 1, h + 1);
+  g2d.strokeStyle = (highlight) ? style['highlight'] || '#f4f4f4' : style['stroke'] || '#ffffff';
+  g2d.strokeRect(- w / 2 + 0.5, - h / 2 + 0.5, w - 1, h - 1);
+  g2d.restore();
+}
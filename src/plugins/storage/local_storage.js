@@ -0,0 +1,240 @@
+goog.provide('annotorious.plugins.storage.LocalStorage');
+
+goog.require('goog.array');
+goog.require('goog.json');
+goog.require('goog.string');
+goog.require('goog.structs.Map');
+
+/**
+ * A plugin that persists annotations in the browser's localStorage. Annotations
+ * are stored as one entry per item, keyed by the item URL. The plugin registers
+ * itself as the Annotorious storage adapter on initialization.
+ * @param {object} opt_config_options the plugin config options ('prefix': the key prefix
+ * to use for localStorage entries, default 'annotorious')
+ * @implements {Plugin}
+ * @implements {StorageAdapter}
+ * @constructor
+ */
+annotorious.plugins.storage.LocalStorage = function(opt_config_options) {
+  /** @private **/
+  this._prefix = (opt_config_options && opt_config_options['prefix']) ?
+    opt_config_options['prefix'] : 'annotorious';
+
+  /** @private **/
+  this._annotations = new goog.structs.Map();
+}
+
+/**
+ * The version of the stored data format. Data written by a newer version is rejected.
+ * @type {number}
+ */
+annotorious.plugins.storage.LocalStorage.SCHEMA_VERSION = 1;
+
+/**
+ * Plugin API method: registers the plugin as storage adapter.
+ * @param {annotorious.Annotorious} anno the Annotorious instance
+ */
+annotorious.plugins.storage.LocalStorage.prototype.initPlugin = function(anno) {
+  anno.setStorage(this);
+}
+
+/**
+ * Returns the localStorage key for the item with the specified URL.
+ * @param {string} item_src the item URL
+ * @returns {string} the key
+ * @private
+ */
+annotorious.plugins.storage.LocalStorage.prototype._getKey = function(item_src) {
+  return this._prefix + ':' + item_src;
+}
+
+/**
+ * Reads the stored annotations for an item from localStorage.
+ * @param {string} item_src the item URL
+ * @returns {Array.<Annotation>} the annotations
+ * @private
+ */
+annotorious.plugins.storage.LocalStorage.prototype._read = function(item_src) {
+  var json = window.localStorage.getItem(this._getKey(item_src));
+  if (goog.string.isEmptySafe(json))
+    return [];
+
+  var data = goog.json.parse(json);
+  if (data['version'] > annotorious.plugins.storage.LocalStorage.SCHEMA_VERSION)
+    throw 'Stored annotations use schema version ' + data['version'] + ', which this version of Annotorious does not support';
+
+  return data['annotations'];
+}
+
+/**
+ * Writes the current annotations of an item to localStorage.
+ * @param {string} item_src the item URL
+ * @private
+ */
+annotorious.plugins.storage.LocalStorage.prototype._write = function(item_src) {
+  var data = {
+    'version': annotorious.plugins.storage.LocalStorage.SCHEMA_VERSION,
+    'annotations': this._annotations.get(item_src)
+  };
+
+  try {
+    window.localStorage.setItem(this._getKey(item_src), goog.json.serialize(data));
+  } catch (error) {
+    if (error.name == 'QuotaExceededError' || error.name == 'NS_ERROR_DOM_QUOTA_REACHED')
+      throw 'Browser storage quota exceeded';
+    else
+      throw error;
+  }
+}
+
+/**
+ * Applies a change to the cached annotations of an item and writes the result. If
+ * the write fails, the change is rolled back.
+ * @param {Annotation} annotation the changed annotation
+ * @param {function} changeFn the function applying the change to the item's annotation list
+ * @returns {Promise} a promise for the annotation
+ * @private
+ */
+annotorious.plugins.storage.LocalStorage.prototype._change = function(annotation, changeFn) {
+  try {
+    if (!this._annotations.containsKey(annotation.src))
+      this._annotations.set(annotation.src, this._read(annotation.src));
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  var annotations = this._annotations.get(annotation.src);
+  var backup = goog.array.clone(annotations);
+  changeFn(annotations);
+
+  try {
+    this._write(annotation.src);
+    return Promise.resolve(annotation);
+  } catch (error) {
+    this._annotations.set(annotation.src, backup);
+    return Promise.reject(error);
+  }
+}
+
+/**
+ * Storage API method: loads the annotations for the item with the specified URL.
+ * @param {string} item_src the item URL
+ * @returns {Promise} a promise for the array of annotations
+ */
+annotorious.plugins.storage.LocalStorage.prototype.load = function(item_src) {
+  try {
+    var annotations = this._read(item_src);
+    this._annotations.set(item_src, annotations);
+    return Promise.resolve(goog.array.clone(annotations));
+  } catch (error) {
+    return Promise.reject(error);
+  }
+}
+
+/**
+ * Storage API method: stores a new annotation.
+ * @param {Annotation} annotation the annotation
+ * @returns {Promise} a promise for the annotation
+ */
+annotorious.plugins.storage.LocalStorage.prototype.create = function(annotation) {
+  return this._change(annotation, function(annotations) {
+    annotations.push(annotation);
+  });
+}
+
+/**
+ * Storage API method: updates an annotation.
+ * @param {Annotation} annotation the annotation
+ * @returns {Promise} a promise for the annotation
+ */
+annotorious.plugins.storage.LocalStorage.prototype.update = function(annotation) {
+  return this._change(annotation, function(annotations) {
+    var idx = goog.array.findIndex(annotations, function(a) {
+      return a['id'] == annotation['id'];
+    });
+
+    if (idx < 0)
+      annotations.push(annotation);
+    else
+      annotations[idx] = annotation;
+  });
+}
+
+/**
+ * Storage API method: deletes an annotation.
+ * @param {Annotation} annotation the annotation
+ * @returns {Promise} a promise for the annotation
+ */
+annotorious.plugins.storage.LocalStorage.prototype['delete'] = function(annotation) {
+  return this._change(annotation, function(annotations) {
+    goog.array.removeIf(annotations, function(a) {
+      return a['id'] == annotation['id'];
+    });
+  });
+}
+
+/**
+ * Returns the URLs of all items that have annotations stored by this plugin.
+ * @returns {Array.<string>} the item URLs
+ * @private
+ */
+annotorious.plugins.storage.LocalStorage.prototype._getStoredItems = function() {
+  var items = [];
+  for (var i=0; i<window.localStorage.length; i++) {
+    var key = window.localStorage.key(i);
+    if (goog.string.startsWith(key, this._prefix + ':'))
+      items.push(key.substring(this._prefix.length + 1));
+  }
+  return items;
+}
+
+/**
+ * Removes the stored annotations for the item with the specified URL, or all 
+ * annotations stored by this plugin, in case no URL is specified. (Annotations
+ * already displayed on the page are not affected.)
+ * @param {string | undefined} opt_item_src an item URL (optional)
+ */
+annotorious.plugins.storage.LocalStorage.prototype.clear = function(opt_item_src) {
+  var items = (opt_item_src) ? [ opt_item_src ] : this._getStoredItems();
+
+  var self = this;
+  goog.array.forEach(items, function(item_src) {
+    window.localStorage.removeItem(self._getKey(item_src));
+    self._annotations.remove(item_src);
+  });
+}
+
+/**
+ * Exports all annotations stored by this plugin, in the current schema version. Items
+ * whose stored data cannot be read are skipped.
+ * @returns {object} the export, with the annotations grouped by item URL
+ */
+annotorious.plugins.storage.LocalStorage.prototype.exportData = function() {
+  var items = {};
+  
+  var self = this;
+  goog.array.forEach(this._getStoredItems(), function(item_src) {
+    try {
+      items[item_src] = self._read(item_src);
+    } catch (error) {
+      console.log('Could not export annotations for ' + item_src + ': ' + error);
+    }
+  });
+
+  return {
+    'version': annotorious.plugins.storage.LocalStorage.SCHEMA_VERSION,
+    'items': items
+  };
+}
+
+// Export clear and exportData API methods
+annotorious.plugins.storage.LocalStorage.prototype['clear'] = annotorious.plugins.storage.LocalStorage.prototype.clear;
+annotorious.plugins.storage.LocalStorage.prototype['exportData'] = annotorious.plugins.storage.LocalStorage.prototype.exportData;
+
+if (!window['annotorious'])
+  window['annotorious'] = {};
+
+if (!window['annotorious']['plugin'])
+  window['annotorious']['plugin'] = {};
+
+window['annotorious']['plugin']['LocalStorage'] = annotorious.plugins.storage.LocalStorage;
@@ -22,6 +22,9 @@ annotorious.viewer.Popup = function(parentEl, annotator) {
   /** @private **/
   this._text = goog.dom.query('.annotorious-popup-text', this.element)[0];
 
+  /** @private **/
+  this._error = goog.dom.query('.annotorious-popup-error', this.element)[0];
+
   /** @private **/
   this._buttons = goog.dom.query('.annotorious-popup-buttons', this.element)[0];
   
@@ -37,6 +40,22 @@ annotorious.viewer.Popup = function(parentEl, annotator) {
   /** @private **/
   this._extraFields = [];
 
+  /** @private **/
+  this._listenerKeys = [];
+
+  /** @private **/
+  this._enabled = true;
+
+  /** @private **/
+  this._readOnly = false;
+
+  /**
+   * Set while a delete waits for BEFORE_ANNOTATION_REMOVED handlers, so that repeated
+   * clicks don't delete the annotation more than once.
+   * @private
+   */
+  this._deleting = false;
+
   var btnEdit = goog.dom.query('.annotorious-popup-button-edit', this._buttons)[0];
   goog.style.setOpacity(btnEdit, 0.4);
 
@@ -44,51 +63,69 @@ annotorious.viewer.Popup = function(parentEl, annotator) {
   goog.style.setOpacity(btnDelete, 0.4);
 
   var self = this;
-  goog.events.listen(btnEdit, goog.events.EventType.MOUSEOVER, function(event) {
+  this._listenerKeys.push(goog.events.listen(btnEdit, goog.events.EventType.MOUSEOVER, function(event) {
     goog.style.setOpacity(btnEdit, 0.9);
-  });
+  }));
 
-  goog.events.listen(btnEdit, goog.events.EventType.MOUSEOUT, function() {
+  this._listenerKeys.push(goog.events.listen(btnEdit, goog.events.EventType.MOUSEOUT, function() {
     goog.style.setOpacity(btnEdit, 0.4);
-  });
+  }));
   
-  goog.events.listen(btnEdit, goog.events.EventType.CLICK, function(event) {
+  this._listenerKeys.push(goog.events.listen(btnEdit, goog.events.EventType.CLICK, function(event) {
     goog.style.setOpacity(self.element, 0);
     goog.style.setStyle(self.element, 'pointer-events', 'none');
     annotator.editAnnotation(self._currentAnnotation); 
-  });
+  }));
 
-  goog.events.listen(btnDelete, goog.events.EventType.MOUSEOVER, function(event) {
+  this._listenerKeys.push(goog.events.listen(btnDelete, goog.events.EventType.MOUSEOVER, function(event) {
     goog.style.setOpacity(btnDelete, 0.9);
-  });
+  }));
   
-  goog.events.listen(btnDelete, goog.events.EventType.MOUSEOUT, function() {
+  this._listenerKeys.push(goog.events.listen(btnDelete, goog.events.EventType.MOUSEOUT, function() {
     goog.style.setOpacity(btnDelete, 0.4);
-  });
+  }));
 
-  goog.events.listen(btnDelete, goog.events.EventType.CLICK, function(event) {
-    goog.style.setOpacity(self.element, 0);
-    goog.style.setStyle(self.element, 'pointer-events', 'none');
-    annotator.fireEvent(annotorious.events.EventType.ANNOTATION_REMOVED, self._currentAnnotation);
-    annotator.removeAnnotation(self._currentAnnotation);
-  });
+  this._listenerKeys.push(goog.events.listen(btnDelete, goog.events.EventType.CLICK, function(event) {
+    if (self._deleting)
+      return;
+
+    var annotation = self._currentAnnotation;
+    self._deleting = true;
+    self._showError(false);
+    annotator.fireCancellableEvent(annotorious.events.EventType.BEFORE_ANNOTATION_REMOVED, annotation).then(function() {
+      self._deleting = false;
+      goog.style.setOpacity(self.element, 0);
+      goog.style.setStyle(self.element, 'pointer-events', 'none');
+      annotator.fireEvent(annotorious.events.EventType.ANNOTATION_REMOVED, annotation);
+      annotator.removeAnnotation(annotation);
+      annotator.getHistory().record(annotorious.history.OperationType.REMOVE, annotation);
+    }, function(reason) {
+      // Vetoed - keep the popup open
+      self._deleting = false;
+      if (self._currentAnnotation == annotation) {
+        self.clearHideTimer();
+        self._showError(true, reason);
+      }
+    });
+  }));
   
-  goog.events.listen(this.element, goog.events.EventType.MOUSEOVER, function(event) {
+  this._listenerKeys.push(goog.events.listen(this.element, goog.events.EventType.MOUSEOVER, function(event) {
     window.clearTimeout(self._buttonHideTimer);
     if (goog.style.getStyle(self._buttons, 'opacity') < 0.9)
       goog.style.setOpacity(self._buttons, 0.9);
     self.clearHideTimer();
-  });
+  }));
   
-  goog.events.listen(this.element, goog.events.EventType.MOUSEOUT, function(event) {
+  this._listenerKeys.push(goog.events.listen(this.element, goog.events.EventType.MOUSEOUT, function(event) {
     goog.style.setOpacity(self._buttons, 0);
     self.startHideTimer();
-  });
+  }));
 
   annotator.addHandler(annotorious.events.EventType.MOUSE_OUT_OF_ANNOTATABLE_MEDIA, function(event) {
     self.startHideTimer();
   });
     
+  goog.style.showElement(this._error, false);
   goog.style.setOpacity(this._buttons, 0);
   goog.style.setOpacity(this.element, 0);
   goog.style.setStyle(this.element, 'pointer-events', 'none');
@@ -112,6 +149,40 @@ annotorious.viewer.Popup.prototype.addField = function(field) {
   goog.dom.appendChild(this.element, fieldEl);
 }
 
+/**
+ * Adds the built-in snippet field, which shows a thumbnail of the annotated region.
+ * @param {number} opt_max_size the maximum width and height of the thumbnail (optional - default is 120)
+ */
+annotorious.viewer.Popup.prototype.addSnippetField = function(opt_max_size) {
+  var annotator = this._annotator;
+  var maxSize = (opt_max_size) ? opt_max_size : 120;
+  this.addField(function(annotation) {
+    var snippet;
+    try {
+      snippet = annotator.getSnippet(annotation, { 'maxSize': maxSize });
+    } catch (e) {
+      // The image is from another origin - no snippet
+      console.log('Could not create snippet: ' + e);
+    }
+    return (snippet) ? '<img class="annotorious-popup-snippet" src="' + snippet + '">' : '';
+  });
+}
+
+/**
+ * Destroys the popup, detaching all listeners and removing it from the DOM.
+ */
+annotorious.viewer.Popup.prototype.destroy = function() {
+  this.clearHideTimer();
+  window.clearTimeout(this._buttonHideTimer);
+
+  goog.array.forEach(this._listenerKeys, function(key) {
+    goog.events.unlistenByKey(key);
+  });
+  this._listenerKeys = [];
+
+  goog.dom.removeNode(this.element);
+}
+
 /**
  * Start the popup hide timer.
  */
@@ -149,16 +220,22 @@ annotorious.viewer.Popup.prototype.clearHideTimer = function() {
  */
 annotorious.viewer.Popup.prototype.show = function(annotation, xy) {
   this.clearHideTimer();
+
+  if (!this._enabled)
+    return;
   
   if (annotation && xy) {
     // New annotation and position - reset
+    if (this._currentAnnotation != annotation)
+      this._showError(false);
+
     this._currentAnnotation = annotation;
     if (annotation.text)
       this._text.innerHTML = annotation.text;
     else
       this._text.innerHTML = '<span class="annotorious-popup-empty">No comment</span>';
 
-    if (('editable' in annotation) && annotation.editable == false)
+    if (this._readOnly || (('editable' in annotation) && annotation.editable == false))
       goog.style.showElement(this._buttons, false);
     else
       goog.style.showElement(this._buttons, true);
@@ -184,6 +261,36 @@ annotorious.viewer.Popup.prototype.show = function(annotation, xy) {
   goog.style.setStyle(this.element, 'pointer-events', 'auto');
 }
 
+/**
+ * Enables (or disables) the popup. A disabled popup is never shown.
+ * @param {boolean} enabled if <code>false</code> the popup is not shown
+ */
+annotorious.viewer.Popup.prototype.setEnabled = function(enabled) {
+  this._enabled = enabled;
+}
+
+/**
+ * Sets the popup to read-only mode, in which the edit and delete buttons are hidden.
+ * @param {boolean} readOnly if <code>true</code> the edit and delete buttons are hidden
+ */
+annotorious.viewer.Popup.prototype.setReadOnly = function(readOnly) {
+  this._readOnly = readOnly;
+}
+
+/**
+ * Shows (or hides) the message explaining why deletion was vetoed.
+ * @param {boolean} show if <code>true</code> the message is shown
+ * @param {string | Error} opt_reason the reason provided by the event handler (optional)
+ * @private
+ */
+annotorious.viewer.Popup.prototype._showError = function(show, opt_reason) {
+  if (show) {
+    var message = (opt_reason && opt_reason.message) ? opt_reason.message : opt_reason;
+    goog.dom.setTextContent(this._error, (message) ? message : 'The annotation could not be deleted.');
+  }
+  goog.style.showElement(this._error, show);
+}
+
 /**
  * Set the position of the popup.
  * @param {annotorious.geom.Point} xy the viewport coordinate
@@ -194,3 +301,4 @@ annotorious.viewer.Popup.prototype.setPosition = function(xy) {
 
 // Export addField method
 annotorious.viewer.Popup.prototype['addField'] = annotorious.viewer.Popup.prototype.addField;
+annotorious.viewer.Popup.prototype['addSnippetField'] = annotorious.viewer.Popup.prototype.addSnippetField;
@@ -0,0 +1,110 @@
+goog.provide('annotorious.storage.RestAdapter');
+
+goog.require('goog.json');
+goog.require('goog.net.XhrIo');
+goog.require('goog.string');
+
+/**
+ * A storage adapter that persists annotations to a REST endpoint:
+ *
+ * GET    {endpoint}?src={item URL}  -> returns the JSON array of annotations for the item
+ * POST   {endpoint}                 -> stores a new annotation, returns the stored annotation
+ * PUT    {endpoint}/{id}            -> updates an annotation
+ * DELETE {endpoint}/{id}            -> deletes an annotation
+ *
+ * Annotation IDs are generated client-side, and should be kept by the server.
+ * @param {object} config the adapter config options ('endpoint': the base URL of the REST API)
+ * @implements {StorageAdapter}
+ * @constructor
+ */
+annotorious.storage.RestAdapter = function(config) {
+  /** @private **/
+  this._endpoint = config['endpoint'].replace(/\/$/, '');
+}
+
+/**
+ * Sends a request to the endpoint.
+ * @param {string} method the HTTP method
+ * @param {string} url the request URL
+ * @param {Annotation | undefined} opt_annotation the annotation to send as request body (optional)
+ * @returns {Promise} a promise for the parsed JSON response (if any)
+ * @private
+ */
+annotorious.storage.RestAdapter.prototype._send = function(method, url, opt_annotation) {
+  return new Promise(function(resolve, reject) {
+    var content = (opt_annotation) ? goog.json.serialize(opt_annotation) : undefined;
+    goog.net.XhrIo.send(url, function(event) {
+      var xhr = event.target;
+      if (xhr.isSuccess()) {
+        if (goog.string.isEmptySafe(xhr.getResponseText()))
+          resolve(undefined);
+        else
+          resolve(xhr.getResponseJson());
+      } else {
+        reject(method + ' ' + url + ' failed (HTTP status ' + xhr.getStatus() + ')');
+      }
+    }, method, content, { 'Content-Type': 'application/json' });
+  });
+}
+
+/**
+ * Returns the URL of a single annotation resource.
+ * @param {Annotation} annotation the annotation
+ * @returns {string} the URL
+ * @private
+ */
+annotorious.storage.RestAdapter.prototype._getAnnotationURL = function(annotation) {
+  return this._endpoint + '/' + encodeURIComponent(annotation['id']);
+}
+
+/**
+ * Storage API method: loads the annotations for the item with the specified URL.
+ * @param {string} item_src the item URL
+ * @returns {Promise} a promise for the array of annotations
+ */
+annotorious.storage.RestAdapter.prototype.load = function(item_src) {
+  return this._send('GET', this._endpoint + '?src=' + encodeURIComponent(item_src)).then(function(annotations) {
+    return (annotations) ? annotations : [];
+  });
+}
+
+/**
+ * Storage API method: stores a new annotation.
+ * @param {Annotation} annotation the annotation
+ * @returns {Promise} a promise for the annotation
+ */
+annotorious.storage.RestAdapter.prototype.create = function(annotation) {
+  return this._send('POST', this._endpoint, annotation).then(function() {
+    return annotation;
+  });
+}
+
+/**
+ * Storage API method: updates an annotation.
+ * @param {Annotation} annotation the annotation
+ * @returns {Promise} a promise for the annotation
+ */
+annotorious.storage.RestAdapter.prototype.update = function(annotation) {
+  return this._send('PUT', this._getAnnotationURL(annotation), annotation).then(function() {
+    return annotation;
+  });
+}
+
+/**
+ * Storage API method: deletes an annotation.
+ * @param {Annotation} annotation the annotation
+ * @returns {Promise} a promise for the deleted annotation
+ */
+annotorious.storage.RestAdapter.prototype['delete'] = function(annotation) {
+  return this._send('DELETE', this._getAnnotationURL(annotation)).then(function() {
+    return annotation;
+  });
+}
+
+if (!window['annotorious'])
+  window['annotorious'] = {};
+
+if (!window['annotorious']['storage'])
+  window['annotorious']['storage'] = {};
+
+window['annotorious']['storage']['RestAdapter'] = annotorious.storage.RestAdapter;
@@ -0,0 +1,63 @@
+/**
+ * A minimal in-memory mock of the REST storage API, for testing the
+ * RestAdapter. Run with 'node test/storage/mock_server.js' - annotations
+ * are served at http://localhost:9811/annotations and lost on restart.
+ */
+var http = require('http');
+var url = require('url');
+
+var annotations = {};
+var nextId = 1;
+
+var send = function(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  response.end((body) ? JSON.stringify(body) : '');
+};
+
+http.createServer(function(request, response) {
+  var parsed = url.parse(request.url, true);
+  var path = parsed.pathname.split('/').slice(1);
+  var body = '';
+
+  request.on('data', function(chunk) { body += chunk; });
+  request.on('end', function() {
+    console.log(request.method + ' ' + request.url + ' ' + body);
+
+    if (path[0] != 'annotations')
+      return send(response, 404);
+
+    if (request.method == 'OPTIONS')
+      return send(response, 204);
+
+    var id = path[1];
+    if (request.method == 'GET' && !id) {
+      var result = [];
+      for (var key in annotations) {
+        if (annotations[key].src == parsed.query.src)
+          result.push(annotations[key]);
+      }
+      send(response, 200, result);
+    } else if (request.method == 'POST' && !id) {
+      var annotation = JSON.parse(body);
+      if (!annotation.id)
+        annotation.id = String(nextId++);
+      annotations[annotation.id] = annotation;
+      send(response, 201, annotation);
+    } else if (request.method == 'PUT' && annotations[id]) {
+      annotations[id] = JSON.parse(body);
+      send(response, 200, annotations[id]);
+    } else if (request.method == 'DELETE' && annotations[id]) {
+      delete annotations[id];
+      send(response, 204);
+    } else {
+      send(response, 404);
+    }
+  });
+}).listen(9811);
+
+console.log('Mock annotation store running at http://localhost:9811/annotations');